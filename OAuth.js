@@ -1,13 +1,10 @@
 // OAuth.js
 // Handles OAuth 2.0 Authorization Code Flow using environment variables
-// Load environment variables from .env file into process.env
-require("dotenv").config(); // Loads .env file into process.env
+// Load the central configuration (.env plus optional goto.config.json/.yaml)
+var { config, reportStartup } = require("./config"); // Typed settings + startup report
 
-// Import OAuth 2.0 authorization code flow handler from simple-oauth2 library
-var { AuthorizationCode } = require("simple-oauth2"); // Handles OAuth 2.0 logic
-
-// Import crypto module for generating secure random strings
-var crypto = require("crypto"); // Used for generating random state
+// Import the shared OAuth helpers (PKCE, pending-state map with TTL, code exchange)
+var { getAuthUrl, completeAuthorization } = require("./gotoAuth"); // Handles OAuth 2.0 logic
 
 // Import Express.js web framework for creating HTTP server
 var express = require("express"); // Used for API server
@@ -15,25 +12,25 @@ var express = require("express"); // Used for API server
 // Import Axios HTTP client library for making API requests
 var axios = require("axios").default; // Used for proxying API requests
 
+// Import the shared token manager (refresh + encrypted token persistence)
+var { createTokenManager } = require("./tokenManager"); // Keeps tokens fresh for long-running servers
+
+// Import the public/ static file and authenticated download helpers
+var { PUBLIC_DIR, servePublic, registerDownloads } = require("./publicFiles"); // Only public/ is served
+
+// Import the local login layer (session cookies / API keys with admin and viewer roles)
+var { installLocalAuth, requireRole, cors } = require("./localAuth"); // Protects the API routes
+
 // Import child_process module for executing system commands (to kill processes on ports)
 var { exec } = require("child_process"); // Used for port cleanup
 
-// Validate required environment variables
-// Define an array of environment variables that must be present for the app to function
-const requiredEnvVars = ['OAUTH_CLIENT_ID', 'OAUTH_CLIENT_SECRET', 'OAUTH_SERVICE_URL', 'OAUTH_REDIRECT_URI']; // List of required env vars
-
-// Loop through each required environment variable
-for (const envVar of requiredEnvVars) {
-    // Check if the environment variable is missing or empty
-    if (!process.env[envVar]) {
-        // Log error message and exit the application if any required variable is missing
-        console.error(`Missing required environment variable: ${envVar}`); // Error log
-        process.exit(1); // Exit with error code 1
-    }
-}
+// Validate the configuration
+// Prints the enabled features and exits if OAUTH_CLIENT_ID, OAUTH_CLIENT_SECRET, OAUTH_REDIRECT_URI
+// or TOKEN_ENCRYPTION_KEY is missing (see config.js for every setting)
+reportStartup('OAuth.js', ['server', 'auth', 'oauth', 'tokens']);
 
-// Update OAuth endpoints for GoTo migration
-const OAUTH_HOST = 'https://authentication.logmeininc.com/oauth';
+// OAuth scope for the user activity report
+const SCOPE = 'cr.v1.read';
 
 /**
  * Function to kill any process running on a specific port
@@ -81,121 +78,18 @@ function killProcessOnPort(port) {
     });
 }
 
-// Configure OAuth 2.0 client settings using environment variables
-var oauthConfig = {
-    client: {
-        id: process.env.OAUTH_CLIENT_ID,        // OAuth client ID from environment
-        secret: process.env.OAUTH_CLIENT_SECRET  // OAuth client secret from environment
-    },
-    auth: {
-        tokenHost: OAUTH_HOST // OAuth authorization server URL
-    }
-};
-
-// Create an OAuth 2.0 Authorization Code client instance
-var oauthClient = new AuthorizationCode(oauthConfig);
-
-// In-memory store for OAuth state tokens (in production, use Redis or database)
-// This Map stores state tokens to prevent CSRF attacks
-var pendingStates = new Map();
-
-// Token storage (in production, use Redis or database)
-var tokenStorage = {
-    accessToken: null,
-    refreshToken: null,
-    expiresAt: null,
-    
-    // Store tokens with expiration time
-    setTokens(tokenResponse) {
-        this.accessToken = tokenResponse.token.access_token;
-        this.refreshToken = tokenResponse.token.refresh_token;
-        // Calculate expiration time (subtract 60 seconds for safety margin)
-        const expiresIn = tokenResponse.token.expires_in || 3600;
-        this.expiresAt = Date.now() + ((expiresIn - 60) * 1000);
-        console.log(`Tokens stored. Expires in ${expiresIn} seconds`);
-    },
-    
-    // Check if access token is valid and not expired
-    isTokenValid() {
-        return this.accessToken && this.expiresAt && Date.now() < this.expiresAt;
-    },
-    
-    // Get current access token
-    getAccessToken() {
-        return this.isTokenValid() ? this.accessToken : null;
-    },
-    
-    // Clear all tokens
-    clearTokens() {
-        this.accessToken = null;
-        this.refreshToken = null;
-        this.expiresAt = null;
-        console.log('Tokens cleared');
-    }
-};
-
-/**
- * Function to refresh access token using refresh token
- * @returns {Promise<string|null>} - Returns access token if successful, null if failed
- */
-async function refreshAccessToken() {
-    if (!tokenStorage.refreshToken) {
-        console.log('No refresh token available');
-        return null;
-    }
-    
-    try {
-        console.log('Refreshing access token...');
-        const tokenResponse = await oauthClient.getToken({
-            grant_type: 'refresh_token',
-            refresh_token: tokenStorage.refreshToken
-        });
-        
-        tokenStorage.setTokens(tokenResponse);
-        console.log('Access token refreshed successfully');
-        return tokenStorage.getAccessToken();
-    } catch (error) {
-        console.error('Failed to refresh token:', error.message);
-        tokenStorage.clearTokens();
-        return null;
-    }
-}
-
-/**
- * Function to get a valid access token (refresh if needed)
- * @returns {Promise<string|null>} - Returns valid access token or null if authentication needed
- */
-async function getValidAccessToken() {
-    // Check if current token is valid
-    if (tokenStorage.isTokenValid()) {
-        return tokenStorage.getAccessToken();
-    }
-    
-    // Try to refresh the token
-    return await refreshAccessToken();
-}
+// Token storage shared with the other servers: persists tokens (with expiry) to the encrypted vault
+// and refreshes before expiry (the retry on a 401 is done by gotoClient.js)
+var tokenStorage = createTokenManager({ scope: SCOPE });
 
 /**
  * Function to generate authorization URL with unique state token
- * Each authorization request gets a unique state to prevent CSRF attacks
+ * Each authorization request gets a unique state (and PKCE verifier) in gotoAuth.js's pending-state map,
+ * so several browser tabs can authorize at the same time
  * @returns {Object} - Object containing the authorization URL and state token
  */
 function generateAuthUrl() {
-    // Generate a cryptographically secure random 15-byte string as hex
-    var state = crypto.randomBytes(15).toString('hex');
-    
-    // Store the state token with current timestamp for later validation
-    pendingStates.set(state, { timestamp: Date.now() });
-    
-    // Generate the OAuth authorization URL with required parameters
-    var authorizationUrl = oauthClient.authorizeURL({
-        redirect_uri: process.env.OAUTH_REDIRECT_URI, // Where to redirect after authorization
-        scope: 'cr.v1.read',                // Updated scope for user activity report
-        state: state                                  // CSRF protection token
-    });
-    
-    // Return both the URL and state for external use
-    return { url: authorizationUrl, state: state };
+    return getAuthUrl(SCOPE);
 }
 
 // Generate initial authorization URL for manual testing
@@ -205,23 +99,18 @@ console.log('Open in browser to generate a User Activity report: ', authorizatio
 // Create Express.js application instance
 var app = express();
 
-// Middleware for CORS (Cross-Origin Resource Sharing)
-app.use((req, res, next) => {
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
-    if (req.method === 'OPTIONS') {
-        res.sendStatus(200);
-    } else {
-        next();
-    }
-});
+// Middleware for CORS (Cross-Origin Resource Sharing): only origins listed in CORS_ORIGINS
+app.use(cors());
 
 // Middleware to parse JSON request bodies
 app.use(express.json());
 
-// Serve static files (including index.html)
-app.use(express.static(__dirname));
+// Require a logged-in user or API key for everything except /login, /health and the OAuth callback
+installLocalAuth(app, { publicPaths: ['/health'] });
+
+// Serve static files (including index.html) from public/ and the authenticated data downloads
+servePublic(app);
+registerDownloads(app);
 
 /**
  * OAuth callback endpoint - handles the redirect from the authorization server
@@ -230,62 +119,22 @@ app.use(express.static(__dirname));
  */
 app.get('/login/oauth2/code/goto', async function (req, res) {
     try {
-        // Extract the state parameter from the query string
-        const receivedState = req.query.state;
-        
-        // Validate that the state exists and matches one we generated (CSRF protection)
-        if (!receivedState || !pendingStates.has(receivedState)) {
-            console.log('Ignoring authorization code with invalid or missing state');
-            // Return 403 Forbidden with error message
-            return res.status(403).json({ error: 'Invalid state parameter' });
-        }
-        
-        // Remove the used state token to prevent replay attacks
-        pendingStates.delete(receivedState);
-        
-        // Extract the authorization code from the query string
-        const authorizationCode = req.query.code;
-        
-        // Validate that the authorization code is present
-        if (!authorizationCode) {
-            console.log('Missing authorization code');
-            // Return 400 Bad Request with error message
-            return res.status(400).json({ error: 'Missing authorization code' });
-        }
-        
-        // Prepare parameters for token exchange
-        var tokenParams = {
-            code: authorizationCode,                      // The authorization code received
-            redirect_uri: process.env.OAUTH_REDIRECT_URI, // Must match the original redirect URI
-            scope: 'cr.v1.read'                 // Updated scope for user activity report
-        };
-        
-        // Initialize token response variable
-        var tokenResponse = null;
-        
+        // Validate the state (CSRF protection, single use, 10 minute TTL) and exchange the code
+        // with its PKCE verifier; this is the same callback logic the other servers use
+        var result;
         try {
-            // Exchange authorization code for access token
-            tokenResponse = await oauthClient.getToken(tokenParams);
-            
-            // Store the tokens for future use
-            tokenStorage.setTokens(tokenResponse);
+            result = await completeAuthorization(req.query);
         } catch (error) {
-            // Log the error and return 500 Internal Server Error
-            console.log('Access Token Error', error.message);
-            return res.status(500).json({ error: 'Failed to obtain access token' });
+            console.log('Authorization callback rejected:', error.message);
+            return res.status(error.status || 500).json({ error: error.status === 500 ? 'Failed to obtain access token' : error.message });
         }
-        
-        // Extract the access token from the response
-        var accessToken = tokenResponse.token.access_token;
 
-        // Serve UAReport.html and inject the access token as a JS variable
-        const fs = require('fs');
+        // Store the tokens for future use
+        tokenStorage.setTokens(result.token);
+
+        // Serve UReport.html; its routes use the stored token, so the token is not handed to the browser
         const path = require('path');
-        const reportPath = path.join(__dirname, 'UAReport.html');
-        let html = fs.readFileSync(reportPath, 'utf8');
-        // Inject a <script> tag after <body> to set the token
-        html = html.replace('<body>', `<body>\n<script>window.injectedAccessToken = '${accessToken}';</script>`);
-        res.status(200).send(html);
+        res.status(200).sendFile(path.join(PUBLIC_DIR, 'UReport.html'));
     } catch (error) {
         console.error('Error in /login/oauth2/code/goto handler:', error.message);
         res.status(500).json({ error: 'Internal server error' });
@@ -296,11 +145,12 @@ app.get('/login/oauth2/code/goto', async function (req, res) {
  * Endpoint to check authentication status
  * Returns whether user is authenticated and token info
  */
-app.get('/api/auth-status', (req, res) => {
-    const isAuthenticated = tokenStorage.isTokenValid();
+app.get('/api/auth-status', async (req, res) => {
+    // Refreshes the token first if it is about to expire
+    const isAuthenticated = !!(await tokenStorage.getValidAccessToken());
     res.json({
         authenticated: isAuthenticated,
-        tokenExpiry: tokenStorage.expiresAt ? new Date(tokenStorage.expiresAt).toISOString() : null,
+        tokenExpiry: tokenStorage.getStatus().expiresAt,
         authUrl: isAuthenticated ? null : generateAuthUrl().url
     });
 });
@@ -309,8 +159,8 @@ app.get('/api/auth-status', (req, res) => {
  * Endpoint to manually trigger re-authentication
  * Clears stored tokens and returns new auth URL
  */
-app.post('/api/re-authenticate', (req, res) => {
-    tokenStorage.clearTokens();
+app.post('/api/re-authenticate', requireRole('admin'), (req, res) => {
+    tokenStorage.clear();
     const { url } = generateAuthUrl();
     res.json({
         message: 'Tokens cleared. Please complete OAuth flow.',
@@ -318,28 +168,11 @@ app.post('/api/re-authenticate', (req, res) => {
     });
 });
 
-/**
- * Periodic cleanup of expired OAuth state tokens
- * This prevents memory leaks by removing old, unused state tokens
- * Runs every 5 minutes and removes tokens older than 10 minutes
- */
-setInterval(() => {
-    const now = Date.now();                               // Get current timestamp
-    
-    // Iterate through all stored state tokens
-    for (const [state, data] of pendingStates.entries()) {
-        // Check if the token is older than 10 minutes (10 * 60 * 1000 milliseconds)
-        if (now - data.timestamp > 10 * 60 * 1000) {
-            pendingStates.delete(state);                  // Remove expired token
-        }
-    }
-}, 5 * 60 * 1000); // Execute this cleanup every 5 minutes
-
 /**
  * Endpoint to generate a new authorization URL
  * Useful for getting fresh authorization URLs without restarting the server
  */
-app.get('/auth/new', (req, res) => {
+app.get('/auth/new', requireRole('admin'), (req, res) => {
     // Generate a new authorization URL and state token
     const { url, state } = generateAuthUrl();
     
@@ -356,8 +189,8 @@ app.get('/health', (req, res) => {
     res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Get the port number from environment variable, default to 5000
-const port = process.env.PORT || 5000;
+// Get the port number from the configuration, default to 5000
+const port = config.PORT;
 
 /**
  * Async function to start the server
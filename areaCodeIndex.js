@@ -0,0 +1,173 @@
+/**
+ * areaCodeIndex.js
+ *
+ * Shared in-memory index of statescodes.db for the call routing webhooks (remoteccRouter.js and
+ * httpNotifyRouter.js). The table is read once into a Map of area code -> { state, extension, extensions, distribution },
+ * so a lookup is a single Map access instead of opening the database and scanning every row.
+ * extensions/distribution are the state's extension pool (empty unless the Extensions column is set).
+ *
+ * The index reloads itself when:
+ * - areaCodes.js changes the table (the admin page and /api/routing/states)
+ * - statescodes.db changes on disk (e.g. rebuilt offline or edited by another server process)
+ * - the CSV in AREA_CODES_CSV changes; it is then imported into statescodes.db (replacing the table) first
+ *
+ * Main Functions:
+ * - lookup(areaCode): Promise of { state, extension } (null if the area code is not routed); waits for the first load.
+ *   Rejects while statescodes.db has never been loaded (the load is retried every RETRY_MS), so callers can tell
+ *   "no match" from "lookup unavailable".
+ * - reload(reason): Rebuild the index from statescodes.db.
+ * - getStats(): Size of the index, last reload and lookup timings (count, hits, average/max/p95 in ms).
+ * - watch(): Start watching statescodes.db and AREA_CODES_CSV (called by the routers; safe to call twice).
+ */
+
+const fs = require('fs'); // Watch the database and CSV
+const path = require('path'); // CSV path
+const sqlite3 = require('sqlite3').verbose(); // statescodes.db
+const { config } = require('./config'); // AREA_CODES_CSV
+const { STATES_DB, importCsv, parseExtensionPool } = require('./areaCodes'); // statescodes.db path, CSV import
+
+const WATCH_INTERVAL_MS = 2000; // How often the files are checked for changes
+const TIMING_SAMPLES = 1000; // Lookup durations kept for the p95
+const RETRY_MS = 10000; // Time between load attempts while the index is unavailable
+
+let index = new Map(); // area code -> { state, extension, extensions, distribution }
+let ready = null; // Promise of the first load
+let lastReload = null; // { at, reason, states, areaCodes, durationMs, error }
+let loaded = false; // Whether a load ever succeeded
+let retrying = null; // Promise of a load retried by lookup()
+let watching = false;
+let reloadTimer = null;
+const timings = { count: 0, hits: 0, misses: 0, totalMs: 0, maxMs: 0, samples: [] };
+
+// Read state_area_codes into a new Map
+function readTable() {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(STATES_DB, sqlite3.OPEN_READONLY, err => {
+      if (err) return reject(err);
+      db.all('SELECT * FROM state_area_codes', (queryErr, rows) => {
+        db.close();
+        if (queryErr) return reject(queryErr);
+        resolve(rows);
+      });
+    });
+  });
+}
+
+/**
+ * Rebuild the index from statescodes.db. A failed reload keeps the previous index.
+ * @param {string} [reason] - Shown in the stats and the log
+ * @returns {Promise<Object>} - The reload summary
+ */
+async function reload(reason = 'manual') {
+  const started = process.hrtime.bigint();
+  try {
+    const rows = await readTable();
+    const next = new Map();
+    for (const row of rows) {
+      for (const code of String(row.AreaCodes || '').split(',').map(c => c.trim()).filter(Boolean)) {
+        if (next.has(code)) console.warn(`Area code ${code} is listed for ${next.get(code).state} and ${row.State}; using ${next.get(code).state}`);
+        else {
+          next.set(code, {
+            state: row.State,
+            extension: row.Extension === null ? null : String(row.Extension),
+            extensions: parseExtensionPool(row.Extensions).members,
+            distribution: row.Distribution || null
+          });
+        }
+      }
+    }
+    index = next;
+    loaded = true;
+    lastReload = { at: new Date().toISOString(), reason, states: rows.length, areaCodes: next.size, durationMs: elapsedMs(started), error: null };
+    console.log(`Area code index loaded (${reason}): ${next.size} area codes in ${rows.length} states, ${lastReload.durationMs} ms`);
+  } catch (err) {
+    lastReload = { ...(lastReload || {}), at: new Date().toISOString(), reason, durationMs: elapsedMs(started), error: err.message };
+    console.error('Area code index reload failed, keeping the previous index:', err.message);
+  }
+  return lastReload;
+}
+
+// Milliseconds since a process.hrtime.bigint() value (3 decimals)
+function elapsedMs(started) {
+  return Math.round(Number(process.hrtime.bigint() - started) / 1000) / 1000;
+}
+
+/**
+ * Look up an area code
+ * @param {string} areaCode - 3-digit area code
+ * @returns {Promise<Object|null>} - { state, extension } or null
+ */
+async function lookup(areaCode) {
+  const started = process.hrtime.bigint();
+  if (!ready) ready = reload('startup');
+  await ready;
+  if (!loaded && !retrying && Date.now() - Date.parse(lastReload.at) > RETRY_MS) {
+    retrying = reload('retry').finally(() => { retrying = null; });
+  }
+  if (retrying) await retrying;
+  if (!loaded) throw new Error(`Area code index unavailable: ${lastReload.error}`);
+  const match = index.get(String(areaCode || '')) || null;
+
+  const ms = elapsedMs(started);
+  timings.count++;
+  if (match) timings.hits++; else timings.misses++;
+  timings.totalMs += ms;
+  timings.maxMs = Math.max(timings.maxMs, ms);
+  timings.samples.push(ms);
+  if (timings.samples.length > TIMING_SAMPLES) timings.samples.shift();
+  return match;
+}
+
+// Size of the index, last reload and lookup timings
+function getStats() {
+  const sorted = [...timings.samples].sort((a, b) => a - b);
+  return {
+    available: loaded,
+    areaCodes: index.size,
+    lastReload,
+    watching: { database: STATES_DB, csv: config.AREA_CODES_CSV || null, active: watching },
+    lookups: {
+      count: timings.count,
+      hits: timings.hits,
+      misses: timings.misses,
+      avgMs: timings.count ? Math.round((timings.totalMs / timings.count) * 1000) / 1000 : 0,
+      maxMs: timings.maxMs,
+      p95Ms: sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))] : 0
+    }
+  };
+}
+
+// Reload shortly after a change (a rebuild can touch the file several times)
+function scheduleReload(reason) {
+  clearTimeout(reloadTimer);
+  reloadTimer = setTimeout(() => reload(reason), 250);
+  reloadTimer.unref();
+}
+
+// Import the watched CSV into statescodes.db (importCsv reloads the index)
+async function importWatchedCsv(file) {
+  try {
+    const result = await importCsv(fs.readFileSync(file, 'utf8'), 'replace');
+    console.log(`Imported ${file} into statescodes.db: ${result.imported} states`);
+  } catch (err) {
+    console.error(`Could not import ${file}:`, err.message);
+  }
+}
+
+// Start watching statescodes.db and AREA_CODES_CSV
+function watch() {
+  if (!ready) ready = reload('startup');
+  if (watching) return;
+  watching = true;
+  fs.watchFile(STATES_DB, { interval: WATCH_INTERVAL_MS }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) scheduleReload('statescodes.db changed');
+  }).unref();
+  if (config.AREA_CODES_CSV) {
+    const csv = path.resolve(config.AREA_CODES_CSV);
+    fs.watchFile(csv, { interval: WATCH_INTERVAL_MS }, (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs && curr.size > 0) importWatchedCsv(csv);
+    }).unref();
+  }
+}
+
+module.exports = { lookup, reload, getStats, watch };
@@ -0,0 +1,300 @@
+/**
+ * areaCodes.js
+ *
+ * Read and edit the area-code-to-extension table in statescodes.db (table state_area_codes), which
+ * RemoteCC (remoteccRouter.js) and HTTPNotify (httpNotifyRouter.js) use to route callers by area code.
+ * Rows are keyed by State; AreaCodes is stored as "205, 251, 256" like in statescodes.csv.
+ * A state can spread its calls over several extensions: Extensions lists them ("1000, 1010, 1020:3", a weight after
+ * the colon) and Distribution picks the strategy (round_robin, least_recent or weighted, see callDistribution.js).
+ * Without Extensions every call goes to Extension.
+ * Every change reloads the routers' in-memory index (areaCodeIndex.js), so it applies without a restart.
+ *
+ * Main Functions:
+ * - listStates(): All states with their area codes (as arrays) and extension.
+ * - getState(name) / createState(input) / updateState(name, input) / deleteState(name): One state.
+ * - addAreaCode(name, areaCode) / removeAreaCode(name, areaCode): Edit a state's area codes.
+ * - importCsv(text, mode) / exportCsv(): statescodes.csv format (State,AreaCodes,Extension[,Extensions,Distribution]).
+ * - parseExtensionPool(value): "1000, 1010:3" -> { members: [{ extension, weight }], invalid: [] }.
+ * - parseCsv(text): Rows of fields (quotes, CRLF and a BOM handled); also used for the routing simulation batches.
+ *
+ * Invalid input is rejected with an Error that has status 400 (404 for unknown area codes) and, for validation, .errors.
+ */
+
+const path = require('path'); // Database path
+const sqlite3 = require('sqlite3').verbose(); // statescodes.db
+const { STRATEGIES } = require('./callDistribution'); // Distribution strategies
+
+// statescodes.db in the project root (built from statescodes.csv)
+const STATES_DB = path.join(__dirname, 'statescodes.db');
+const AREA_CODE_PATTERN = /^\d{3}$/;
+const EXTENSION_PATTERN = /^\d{1,10}$/;
+
+let db = null;
+
+// Open statescodes.db once and make sure the table and the columns added later exist
+function database() {
+  if (!db) {
+    db = new sqlite3.Database(STATES_DB);
+    db.serialize(() => {
+      db.run('CREATE TABLE IF NOT EXISTS state_area_codes (State TEXT, AreaCodes TEXT, Extension INTEGER)');
+      db.run('ALTER TABLE state_area_codes ADD COLUMN Extensions TEXT', () => {}); // Fails once the column exists
+      db.run('ALTER TABLE state_area_codes ADD COLUMN Distribution TEXT', () => {});
+    });
+  }
+  return db;
+}
+
+// Promise wrappers around the sqlite3 callbacks
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  database().run(sql, params, function (err) { return err ? reject(err) : resolve(this); });
+});
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  database().all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+// Error answered with a status code by the routes
+function httpError(status, message, errors) {
+  const error = new Error(message);
+  error.status = status;
+  if (errors) error.errors = errors;
+  return error;
+}
+
+// "205, 251" or ['205', 251] -> ['205', '251']
+function splitAreaCodes(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[,;\s]+/);
+  return [...new Set(list.map(code => String(code).trim()).filter(Boolean))];
+}
+
+/**
+ * Parse a list of extensions with optional weights
+ * @param {string|Array} value - "1000, 1010:3" or ['1000', { extension: '1010', weight: 3 }]
+ * @returns {{members: Object[], invalid: string[]}}
+ */
+function parseExtensionPool(value) {
+  const members = [];
+  const invalid = [];
+  const list = Array.isArray(value) ? value : String(value || '').split(/[,;\s]+/).filter(Boolean);
+  for (const item of list) {
+    const [extension, weight = '1'] = typeof item === 'object' ? [String(item.extension), String(item.weight ?? 1)] : String(item).split(':');
+    if (!EXTENSION_PATTERN.test(extension) || !/^[1-9]\d{0,2}$/.test(weight)) invalid.push(typeof item === 'object' ? JSON.stringify(item) : String(item));
+    else if (!members.some(member => member.extension === extension)) members.push({ extension, weight: Number(weight) });
+  }
+  return { members, invalid };
+}
+
+// [{ extension, weight }] -> "1000, 1010:3" (null when empty)
+function formatPool(members) {
+  return members.length ? members.map(m => (m.weight === 1 ? m.extension : `${m.extension}:${m.weight}`)).join(', ') : null;
+}
+
+// Database row -> API object
+function toState(row) {
+  return {
+    State: row.State,
+    AreaCodes: splitAreaCodes(row.AreaCodes),
+    Extension: row.Extension === null ? null : String(row.Extension),
+    Extensions: parseExtensionPool(row.Extensions).members,
+    Distribution: row.Distribution || null
+  };
+}
+
+// API input (merged over an existing state) -> state to validate and store
+function fromInput(input, existing = {}) {
+  const pick = field => (input[field] !== undefined ? input[field] : existing[field]);
+  const pool = parseExtensionPool(pick('Extensions'));
+  return {
+    State: String(pick('State') ?? '').trim(),
+    AreaCodes: splitAreaCodes(pick('AreaCodes')),
+    Extension: String(pick('Extension') ?? '').trim(),
+    Extensions: pool.members,
+    invalidExtensions: pool.invalid,
+    Distribution: pick('Distribution') || null
+  };
+}
+
+// Column values of a state (same order as STATE_COLUMNS)
+const STATE_COLUMNS = ['State', 'AreaCodes', 'Extension', 'Extensions', 'Distribution'];
+function columnValues(state) {
+  return [state.State, state.AreaCodes.join(', '), Number(state.Extension), formatPool(state.Extensions), state.Extensions.length ? state.Distribution || 'round_robin' : state.Distribution];
+}
+
+// Validate a state and check that its area codes are not used by another state
+function validateState(state, rows, currentName) {
+  const errors = [];
+  if (!state.State) errors.push('State is required');
+  if (!EXTENSION_PATTERN.test(state.Extension || '')) errors.push('Extension must be a number');
+  if (state.invalidExtensions && state.invalidExtensions.length) errors.push(`Extensions must be numbers with an optional :weight (1-999): ${state.invalidExtensions.join(', ')}`);
+  if (state.Distribution && !STRATEGIES.includes(state.Distribution)) errors.push(`Distribution must be one of ${STRATEGIES.join(', ')}`);
+  const invalid = state.AreaCodes.filter(code => !AREA_CODE_PATTERN.test(code));
+  if (invalid.length) errors.push(`Area codes must have 3 digits: ${invalid.join(', ')}`);
+  for (const row of rows) {
+    if (row.State === currentName) continue;
+    if (state.State && row.State.toLowerCase() === state.State.toLowerCase()) errors.push(`State ${row.State} already exists`);
+    const taken = splitAreaCodes(row.AreaCodes).filter(code => state.AreaCodes.includes(code));
+    if (taken.length) errors.push(`Area codes already routed by ${row.State}: ${taken.join(', ')}`);
+  }
+  return errors;
+}
+
+async function listStates() {
+  const rows = await all('SELECT * FROM state_area_codes ORDER BY State');
+  return rows.map(toState);
+}
+
+// One state by name (case-insensitive); null if not found
+async function getState(name) {
+  const rows = await all('SELECT * FROM state_area_codes WHERE State = ? COLLATE NOCASE', [name]);
+  return rows.length ? toState(rows[0]) : null;
+}
+
+async function createState(input) {
+  const state = fromInput(input);
+  const errors = validateState(state, await all('SELECT State, AreaCodes FROM state_area_codes'));
+  if (errors.length) throw httpError(400, errors.join('; '), errors);
+  await run(`INSERT INTO state_area_codes (${STATE_COLUMNS.join(', ')}) VALUES (?, ?, ?, ?, ?)`, columnValues(state));
+  await reloadIndex(`added ${state.State}`);
+  return getState(state.State);
+}
+
+// Update a state (State renames it, missing fields keep their value); null if it does not exist
+async function updateState(name, input) {
+  const existing = await getState(name);
+  if (!existing) return null;
+  const state = fromInput(input, existing);
+  const errors = validateState(state, await all('SELECT State, AreaCodes FROM state_area_codes'), existing.State);
+  if (errors.length) throw httpError(400, errors.join('; '), errors);
+  await run(`UPDATE state_area_codes SET ${STATE_COLUMNS.map(c => `${c} = ?`).join(', ')} WHERE State = ?`, [...columnValues(state), existing.State]);
+  await reloadIndex(`updated ${state.State}`);
+  return getState(state.State);
+}
+
+// Delete a state; false if it did not exist
+async function deleteState(name) {
+  const result = await run('DELETE FROM state_area_codes WHERE State = ? COLLATE NOCASE', [name]);
+  if (result.changes) await reloadIndex(`deleted ${name}`);
+  return result.changes > 0;
+}
+
+async function addAreaCode(name, areaCode) {
+  const existing = await getState(name);
+  if (!existing) return null;
+  return updateState(existing.State, { AreaCodes: [...existing.AreaCodes, String(areaCode).trim()] });
+}
+
+async function removeAreaCode(name, areaCode) {
+  const existing = await getState(name);
+  if (!existing) return null;
+  if (!existing.AreaCodes.includes(String(areaCode))) throw httpError(404, `${existing.State} does not route area code ${areaCode}`);
+  return updateState(existing.State, { AreaCodes: existing.AreaCodes.filter(code => code !== String(areaCode)) });
+}
+
+// Rebuild the routers' area code index after a change (required here because areaCodeIndex.js requires this module)
+function reloadIndex(reason) {
+  return require('./areaCodeIndex').reload(reason);
+}
+
+// Split CSV text into rows of fields (quoted fields may contain commas and "")
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (input[i + 1] === '"') {
+        field += '"'; // Escaped quote
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field); field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(value => value.trim()));
+}
+
+/**
+ * Import states from CSV (statescodes.csv format; the "Area Codes" header of the LMI export works too)
+ * @param {string} text - CSV with a State,AreaCodes,Extension header (Extensions and Distribution are optional;
+ *   when they are missing, merge keeps the stored values)
+ * @param {string} [mode] - 'merge' (default) adds and updates states, 'replace' replaces the whole table
+ * @returns {Promise<{imported: number, created: number, updated: number}>}
+ */
+async function importCsv(text, mode = 'merge') {
+  if (!['merge', 'replace'].includes(mode)) throw httpError(400, 'mode must be merge or replace');
+  const [header, ...lines] = parseCsv(String(text || ''));
+  const columns = (header || []).map(name => name.trim().toLowerCase().replace(/\s+/g, ''));
+  const index = {};
+  STATE_COLUMNS.forEach(column => { index[column] = columns.indexOf(column.toLowerCase()); });
+  if (index.State < 0 || index.AreaCodes < 0 || index.Extension < 0) throw httpError(400, 'CSV needs the columns State, AreaCodes and Extension');
+
+  // Validate the file as a whole before touching the table
+  const current = mode === 'replace' ? [] : await all('SELECT * FROM state_area_codes');
+  const incoming = lines.map(line => {
+    const input = {};
+    STATE_COLUMNS.filter(column => index[column] >= 0).forEach(column => { input[column] = (line[index[column]] || '').trim(); });
+    const stored = current.find(row => row.State.toLowerCase() === input.State.toLowerCase());
+    return fromInput(input, stored ? toState(stored) : {});
+  });
+  const errors = [];
+  incoming.forEach((state, i) => {
+    const others = [
+      ...current.filter(row => row.State.toLowerCase() !== state.State.toLowerCase()),
+      ...incoming.filter((other, j) => j !== i).map(other => ({ State: other.State, AreaCodes: other.AreaCodes.join(', ') }))
+    ];
+    validateState(state, others).forEach(error => errors.push(`Line ${i + 2}: ${error}`));
+  });
+  if (errors.length) throw httpError(400, `CSV not imported: ${errors.slice(0, 10).join('; ')}`, errors);
+
+  const existing = new Map(current.map(row => [row.State.toLowerCase(), row.State]));
+  let created = 0;
+  let updated = 0;
+  await run('BEGIN');
+  try {
+    if (mode === 'replace') await run('DELETE FROM state_area_codes');
+    for (const state of incoming) {
+      if (existing.has(state.State.toLowerCase())) {
+        await run(`UPDATE state_area_codes SET ${STATE_COLUMNS.map(c => `${c} = ?`).join(', ')} WHERE State = ?`, [...columnValues(state), existing.get(state.State.toLowerCase())]);
+        updated++;
+      } else {
+        await run(`INSERT INTO state_area_codes (${STATE_COLUMNS.join(', ')}) VALUES (?, ?, ?, ?, ?)`, columnValues(state));
+        created++;
+      }
+    }
+    await run('COMMIT');
+  } catch (err) {
+    await run('ROLLBACK').catch(() => {});
+    throw err;
+  }
+  await reloadIndex(`imported ${incoming.length} states`);
+  return { imported: incoming.length, created, updated };
+}
+
+// Export the table in statescodes.csv format
+async function exportCsv() {
+  const quote = value => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  const states = await listStates();
+  const lines = states.map(s => [s.State, s.AreaCodes.join(', '), s.Extension ?? '', formatPool(s.Extensions) || '', s.Distribution || '']
+    .map(v => quote(String(v))).join(','));
+  return [STATE_COLUMNS.join(','), ...lines].join('\n') + '\n';
+}
+
+module.exports = {
+  STATES_DB,
+  listStates, getState, createState, updateState, deleteState,
+  addAreaCode, removeAreaCode, importCsv, exportCsv, parseExtensionPool, parseCsv
+};
@@ -0,0 +1,131 @@
+/**
+ * callDistribution.js
+ *
+ * Spreads the calls of one state over several extensions (the Extensions column of statescodes.db, see areaCodes.js).
+ * The assignment state is stored in remotecc_events.db (table distribution_state), so the distribution stays fair
+ * across restarts of RemoteCC.js. Strategies:
+ * - round_robin: the extensions take turns in the order they are listed
+ * - least_recent: the extension that was routed to longest ago (or never) gets the call
+ * - weighted: smooth weighted round robin; "1010:3" gets three calls for every call of a weight-1 extension
+ *
+ * Main Functions:
+ * - createDistributor(db): Returns { pick(group, members, strategy, options), getStatus(group) } bound to an open sqlite3
+ *   database. members are [{ extension, weight }]; pick() resolves to the chosen extension (options.dryRun: do not record it).
+ */
+
+const STRATEGIES = ['round_robin', 'least_recent', 'weighted'];
+
+/**
+ * Create a distributor
+ * @param {Object} db - Open sqlite3 database (remotecc_events.db)
+ * @returns {Object} - { pick, getStatus }
+ */
+function createDistributor(db) {
+  db.run(`CREATE TABLE IF NOT EXISTS distribution_state (
+    group_name TEXT NOT NULL,
+    extension TEXT NOT NULL,
+    routed_count INTEGER NOT NULL DEFAULT 0,
+    last_routed_at INTEGER,
+    current_weight INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (group_name, extension)
+  )`);
+
+  const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, err => (err ? reject(err) : resolve()));
+  });
+
+  // Picks run one at a time so two simultaneous calls never read the same state
+  let queue = Promise.resolve();
+  let lastPickAt = 0; // Strictly increasing pick times keep round_robin ordered within one millisecond
+
+  // Choose a member with the stored state of the group; weighted also returns the new current weights
+  function choose(members, strategy, state) {
+    const stateOf = member => state.get(member.extension) || { routed_count: 0, last_routed_at: null, current_weight: 0 };
+    if (strategy === 'least_recent') {
+      const member = members.reduce((best, candidate) => {
+        const last = stateOf(candidate).last_routed_at ?? -1;
+        const bestLast = stateOf(best).last_routed_at ?? -1;
+        return last < bestLast ? candidate : best;
+      });
+      return { member };
+    }
+    if (strategy === 'weighted') {
+      const total = members.reduce((sum, member) => sum + member.weight, 0);
+      let best = null;
+      const weights = new Map();
+      for (const member of members) {
+        const current = stateOf(member).current_weight + member.weight;
+        weights.set(member.extension, current);
+        if (!best || current > weights.get(best.extension)) best = member;
+      }
+      weights.set(best.extension, weights.get(best.extension) - total);
+      return { member: best, weights };
+    }
+    // round_robin: the member listed after the one routed to last
+    let lastIndex = -1;
+    members.forEach((member, i) => {
+      const last = stateOf(member).last_routed_at;
+      if (last !== null && (lastIndex < 0 || last > stateOf(members[lastIndex]).last_routed_at)) lastIndex = i;
+    });
+    return { member: members[(lastIndex + 1) % members.length] };
+  }
+
+  /**
+   * Choose the extension for the next call of a group and record it
+   * @param {string} group - Group name (the state)
+   * @param {Object[]} members - [{ extension, weight }]
+   * @param {string} [strategy] - round_robin (default), least_recent or weighted
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only tell which extension would be next (previews and simulations)
+   * @returns {Promise<string>} - The chosen extension
+   */
+  function pick(group, members, strategy, options = {}) {
+    const next = queue.then(async () => {
+      if (members.length === 1) return members[0].extension;
+      const rows = await all('SELECT * FROM distribution_state WHERE group_name = ?', [group]);
+      const state = new Map(rows.map(row => [row.extension, row]));
+      const choice = choose(members, STRATEGIES.includes(strategy) ? strategy : 'round_robin', state);
+      const member = choice.member;
+      if (options.dryRun) return member.extension;
+      const now = lastPickAt = Math.max(Date.now(), lastPickAt + 1);
+      await run(
+        `INSERT INTO distribution_state (group_name, extension, routed_count, last_routed_at) VALUES (?, ?, 1, ?)
+         ON CONFLICT (group_name, extension) DO UPDATE SET routed_count = routed_count + 1, last_routed_at = excluded.last_routed_at`,
+        [group, member.extension, now]
+      );
+      if (choice.weights) {
+        for (const [extension, weight] of choice.weights) {
+          await run(
+            `INSERT INTO distribution_state (group_name, extension, current_weight) VALUES (?, ?, ?)
+             ON CONFLICT (group_name, extension) DO UPDATE SET current_weight = excluded.current_weight`,
+            [group, extension, weight]
+          );
+        }
+      }
+      return member.extension;
+    });
+    queue = next.catch(() => {}); // A failed pick must not block the next one
+    return next;
+  }
+
+  // Stored counts per group and extension (all groups if group is omitted)
+  async function getStatus(group) {
+    const rows = group
+      ? await all('SELECT * FROM distribution_state WHERE group_name = ? ORDER BY extension', [group])
+      : await all('SELECT * FROM distribution_state ORDER BY group_name, extension');
+    return rows.map(row => ({
+      group: row.group_name,
+      extension: row.extension,
+      routedCount: row.routed_count,
+      lastRoutedAt: row.last_routed_at ? new Date(row.last_routed_at).toISOString() : null,
+      currentWeight: row.current_weight
+    }));
+  }
+
+  return { pick, getStatus };
+}
+
+module.exports = { createDistributor, STRATEGIES };
@@ -0,0 +1,277 @@
+/**
+ * callRetention.js
+ *
+ * Retention for the webhook tables: calls (calls.db, httpNotifyRouter.js) and events (remotecc_events.db,
+ * remoteccRouter.js). Each run, on a schedule (CALL_RETENTION_ENABLED, every CALL_RETENTION_INTERVAL_HOURS) or
+ * through POST /api/retention/run:
+ * 1. Rollups: brings the hourly and daily rollup tables (<table>_hourly, <table>_daily) up to date. They count the
+ *    rows (records) and the distinct calls (CALL_ID) per hour or day, in total and per state, extension and dialed
+ *    number, so the trends stay after the raw rows are gone.
+ * 2. Archive: rows older than CALL_RETENTION_DAYS (calls) or EVENT_RETENTION_DAYS (events) are written to
+ *    CALL_ARCHIVE_DIR as gzipped NDJSON (one row per line, as stored), e.g.
+ *    archive/calls-2024-01-01-to-2024-02-01-20240501T030000.ndjson.gz
+ * 3. Purge: the archived rows are deleted (and, for calls, the sessions that ended before the cutoff).
+ * The cutoff is the start of a UTC day, so every day left in the raw table is complete and its rollups can be
+ * recomputed from it. 0 days keeps the rows forever (the rollups are still updated). Each run is recorded in the
+ * retention_runs table.
+ *
+ * Main Functions:
+ * - createRetention(db, table): Returns { run(options), schedule(), listRollups(query), getStatus() } for
+ *   'calls' or 'events'.
+ */
+
+const fs = require('fs'); // Archive files
+const path = require('path'); // Archive paths
+const zlib = require('zlib'); // gzip
+const { once } = require('events'); // Wait for the gzip stream to drain
+const { finished } = require('stream/promises'); // Wait for the archive file to be written
+const { config } = require('./config'); // CALL_RETENTION_*, EVENT_RETENTION_DAYS, CALL_ARCHIVE_DIR
+const { parseBound, TABLES } = require('./recordQuery'); // from/to parameters, state/extension/dialed columns
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ARCHIVE_BATCH = 5000; // Rows read per query while archiving
+const PERIODS = ['hourly', 'daily'];
+const DIMENSIONS = ['total', 'state', 'extension', 'dialed'];
+
+// Error answered with a status code by the routes
+function httpError(status, message, errors) {
+  const error = new Error(message);
+  error.status = status;
+  if (errors) error.errors = errors;
+  return error;
+}
+
+// Date -> "YYYY-MM-DD HH:MM:SS" (UTC), the format of the stored timestamps
+function sqlTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Start of the UTC day of a timestamp (Date or SQL timestamp) -> "YYYY-MM-DD 00:00:00"
+function startOfDay(value) {
+  return `${(value instanceof Date ? value.toISOString() : String(value)).slice(0, 10)} 00:00:00`;
+}
+
+/**
+ * Create the retention job of a table
+ * @param {Object} db - Open sqlite3 database with the table
+ * @param {string} table - 'calls' or 'events'
+ * @returns {Object} - { run, schedule, listRollups, getStatus }
+ */
+function createRetention(db, table) {
+  if (!TABLES[table]) throw new Error(`Unknown table: ${table}`);
+  const dimensionColumns = { state: TABLES[table].state, extension: TABLES[table].extension, dialed: TABLES[table].dialed };
+  const retentionDays = () => (table === 'calls' ? config.CALL_RETENTION_DAYS : config.EVENT_RETENTION_DAYS);
+  let running = null; // Promise of the run in progress
+
+  db.serialize(() => {
+    PERIODS.forEach(period => db.run(`CREATE TABLE IF NOT EXISTS ${table}_${period} (
+      bucket TEXT NOT NULL,
+      dimension TEXT NOT NULL,
+      value TEXT NOT NULL,
+      records INTEGER NOT NULL,
+      calls INTEGER NOT NULL,
+      PRIMARY KEY (bucket, dimension, value)
+    )`));
+    db.run(`CREATE TABLE IF NOT EXISTS retention_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      table_name TEXT,
+      started_at DATETIME,
+      finished_at DATETIME,
+      rolled_up_from TEXT,
+      cutoff TEXT,
+      archived INTEGER DEFAULT 0,
+      deleted INTEGER DEFAULT 0,
+      archive_file TEXT,
+      error TEXT
+    )`);
+  });
+
+  const dbRun = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) { return err ? reject(err) : resolve(this); });
+  });
+  const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+  const get = (sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+
+  // Where the rollups must be recomputed from: the day of the last successful run (or of the oldest row)
+  async function rollupStart() {
+    const last = await get('SELECT started_at FROM retention_runs WHERE table_name = ? AND error IS NULL AND finished_at IS NOT NULL ORDER BY id DESC LIMIT 1', [table]);
+    if (last) return startOfDay(last.started_at);
+    const oldest = await get(`SELECT MIN(timestamp) AS timestamp FROM ${table}`);
+    return oldest && oldest.timestamp ? startOfDay(oldest.timestamp) : null;
+  }
+
+  // Recompute the hourly and daily rollups from a day on (its raw rows are all still there)
+  async function rollup(from) {
+    const calls = `COUNT(DISTINCT COALESCE(CALL_ID, 'row:' || id))`;
+    // No transaction: the webhooks insert on the same connection. A run that fails here is not counted as
+    // successful, so the next run recomputes the same days.
+    await dbRun(`DELETE FROM ${table}_hourly WHERE bucket >= ?`, [from]);
+    await dbRun(
+      `INSERT INTO ${table}_hourly (bucket, dimension, value, records, calls)
+       SELECT strftime('%Y-%m-%d %H:00:00', timestamp), 'total', '', COUNT(*), ${calls}
+       FROM ${table} WHERE timestamp >= ? GROUP BY 1`,
+      [from]
+    );
+    for (const [dimension, column] of Object.entries(dimensionColumns)) {
+      await dbRun(
+        `INSERT INTO ${table}_hourly (bucket, dimension, value, records, calls)
+         SELECT strftime('%Y-%m-%d %H:00:00', timestamp), ?, COALESCE(${column}, ''), COUNT(*), ${calls}
+         FROM ${table} WHERE timestamp >= ? GROUP BY 1, 3`,
+        [dimension, from]
+      );
+    }
+    // Days add up their hours (a call that spans two hours counts in both)
+    await dbRun(`DELETE FROM ${table}_daily WHERE bucket >= ?`, [from]);
+    await dbRun(
+      `INSERT INTO ${table}_daily (bucket, dimension, value, records, calls)
+       SELECT substr(bucket, 1, 10) || ' 00:00:00', dimension, value, SUM(records), SUM(calls)
+       FROM ${table}_hourly WHERE bucket >= ? GROUP BY 1, 2, 3`,
+      [from]
+    );
+  }
+
+  // Write the rows older than the cutoff to a gzipped NDJSON file: { file, rows, maxId }
+  async function archive(cutoff) {
+    const first = await get(`SELECT MIN(timestamp) AS timestamp, COUNT(*) AS count FROM ${table} WHERE timestamp < ?`, [cutoff]);
+    if (!first.count) return { file: null, rows: 0, maxId: 0 };
+    fs.mkdirSync(config.CALL_ARCHIVE_DIR, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').slice(0, 15);
+    const file = path.join(config.CALL_ARCHIVE_DIR, `${table}-${first.timestamp.slice(0, 10)}-to-${cutoff.slice(0, 10)}-${stamp}.ndjson.gz`);
+    const partial = `${file}.partial`; // Renamed once complete, so an interrupted run leaves no archive that looks whole
+    const gzip = zlib.createGzip();
+    const out = fs.createWriteStream(partial);
+    gzip.pipe(out);
+    let rows = 0;
+    let maxId = 0;
+    try {
+      for (;;) {
+        const batch = await all(`SELECT * FROM ${table} WHERE timestamp < ? AND id > ? ORDER BY id LIMIT ?`, [cutoff, maxId, ARCHIVE_BATCH]);
+        for (const row of batch) {
+          if (!gzip.write(JSON.stringify(row) + '\n')) await once(gzip, 'drain');
+        }
+        rows += batch.length;
+        if (batch.length) maxId = batch[batch.length - 1].id;
+        if (batch.length < ARCHIVE_BATCH) break;
+      }
+      gzip.end();
+      await finished(out);
+      fs.renameSync(partial, file);
+    } catch (err) {
+      gzip.destroy();
+      out.destroy();
+      fs.rmSync(partial, { force: true });
+      throw err;
+    }
+    return { file, rows, maxId };
+  }
+
+  /**
+   * Roll up, archive and purge once (runs do not overlap; a second call waits for the first)
+   * @param {Object} [options]
+   * @param {number} [options.days] - Days to keep (default CALL_RETENTION_DAYS / EVENT_RETENTION_DAYS; 0 = forever)
+   * @returns {Promise<Object>} - { table, rolledUpFrom, cutoff, archived, deleted, archiveFile }
+   */
+  function run(options = {}) {
+    if (running) return running;
+    running = runOnce(options).finally(() => { running = null; });
+    return running;
+  }
+
+  async function runOnce(options) {
+    const days = options.days === undefined ? retentionDays() : Number(options.days);
+    if (!Number.isFinite(days) || days < 0) throw httpError(400, 'days must be 0 or more');
+    const startedAt = sqlTimestamp(new Date());
+    const cutoff = days > 0 ? startOfDay(new Date(Date.now() - days * DAY_MS)) : null;
+    const { lastID } = await dbRun('INSERT INTO retention_runs (table_name, started_at, cutoff) VALUES (?, ?, ?)', [table, startedAt, cutoff]);
+    const result = { table, rolledUpFrom: null, cutoff, archived: 0, deleted: 0, archiveFile: null };
+    try {
+      result.rolledUpFrom = await rollupStart();
+      if (result.rolledUpFrom) await rollup(result.rolledUpFrom);
+      if (cutoff) {
+        const archived = await archive(cutoff);
+        result.archived = archived.rows;
+        result.archiveFile = archived.file;
+        if (archived.rows) {
+          result.deleted = (await dbRun(`DELETE FROM ${table} WHERE timestamp < ? AND id <= ?`, [cutoff, archived.maxId])).changes;
+        }
+        // Sessions are summaries of the purged calls (the archive has every event)
+        if (table === 'calls') await dbRun('DELETE FROM call_sessions WHERE last_seen < ?', [cutoff]);
+      }
+      await dbRun(
+        'UPDATE retention_runs SET finished_at = ?, rolled_up_from = ?, archived = ?, deleted = ?, archive_file = ? WHERE id = ?',
+        [sqlTimestamp(new Date()), result.rolledUpFrom, result.archived, result.deleted, result.archiveFile, lastID]
+      );
+      return result;
+    } catch (err) {
+      await dbRun('UPDATE retention_runs SET finished_at = ?, error = ? WHERE id = ?', [sqlTimestamp(new Date()), err.message, lastID]).catch(() => {});
+      throw err;
+    }
+  }
+
+  // Run now and every CALL_RETENTION_INTERVAL_HOURS when CALL_RETENTION_ENABLED is set
+  function schedule() {
+    if (!config.CALL_RETENTION_ENABLED) return;
+    const hours = config.CALL_RETENTION_INTERVAL_HOURS;
+    const runAndLog = () => run()
+      .then(r => console.log(`Retention (${table}): rolled up from ${r.rolledUpFrom || '-'}, ` +
+        (r.cutoff ? `archived ${r.archived} and deleted ${r.deleted} rows older than ${r.cutoff}` : 'rows kept forever')))
+      .catch(e => console.error(`Retention error (${table})`, e && e.message));
+    runAndLog();
+    setInterval(runAndLog, hours * 60 * 60 * 1000);
+    console.log(`Retention enabled for ${table}: interval=${hours}h, retention=${retentionDays() ? retentionDays() + 'd' : 'forever'}`);
+  }
+
+  /**
+   * Rollup rows (query: period hourly|daily, dimension total|state|extension|dialed, value, from, to, limit)
+   * @param {Object} query - Query parameters (req.query)
+   * @returns {Promise<Object[]>} - [{ bucket, dimension, value, records, calls }], oldest first
+   */
+  function listRollups(query = {}) {
+    const errors = [];
+    const period = query.period || 'hourly';
+    const dimension = query.dimension || 'total';
+    if (!PERIODS.includes(period)) errors.push(`period must be one of ${PERIODS.join(', ')}`);
+    if (!DIMENSIONS.includes(dimension)) errors.push(`dimension must be one of ${DIMENSIONS.join(', ')}`);
+    const where = ['dimension = ?'];
+    const params = [dimension];
+    if (query.value !== undefined) {
+      where.push('value = ?');
+      params.push(String(query.value));
+    }
+    [['from', '>=', false], ['to', '<', true]].forEach(([name, operator, isEnd]) => {
+      if (query[name] === undefined || query[name] === '') return;
+      const bound = parseBound(query[name], isEnd);
+      if (!bound) return errors.push(`${name} must be a date (YYYY-MM-DD) or an ISO 8601 time`);
+      where.push(`bucket ${operator} ?`);
+      params.push(bound);
+    });
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 1000, 1), 10000);
+    if (errors.length) return Promise.reject(httpError(400, errors.join('; '), errors));
+    return all(`SELECT * FROM ${table}_${period} WHERE ${where.join(' AND ')} ORDER BY bucket, value LIMIT ?`, [...params, limit]);
+  }
+
+  // Settings and the latest runs, for GET /api/retention
+  async function getStatus() {
+    const runs = await all('SELECT * FROM retention_runs WHERE table_name = ? ORDER BY id DESC LIMIT 10', [table]);
+    const oldest = await get(`SELECT MIN(timestamp) AS timestamp, COUNT(*) AS count FROM ${table}`);
+    return {
+      table,
+      enabled: config.CALL_RETENTION_ENABLED,
+      intervalHours: config.CALL_RETENTION_INTERVAL_HOURS,
+      retentionDays: retentionDays(),
+      archiveDir: config.CALL_ARCHIVE_DIR,
+      running: Boolean(running),
+      rows: oldest.count,
+      oldestRow: oldest.timestamp,
+      runs
+    };
+  }
+
+  return { run, schedule, listRollups, getStatus };
+}
+
+module.exports = { createRetention };
@@ -0,0 +1,128 @@
+/**
+ * callSessions.js
+ *
+ * Groups the HTTP Notify events of one call (same CALL_ID) into a call session, stored in calls.db next to the
+ * per-POST rows of the calls table (httpNotifyRouter.js). A dial plan usually has several Notify nodes; each POST
+ * names the node it comes from (NODE, e.g. "Main IVR", or ?node= on the node's URL) and optionally a STAGE
+ * ("ringing", "queue", ...) and the final OUTCOME ("answered", "voicemail", "abandoned", ...).
+ *
+ * A session (table call_sessions) keeps:
+ * - the caller, dialed number, state and extension of the first event (later events fill in what was missing)
+ * - first_seen / last_seen, the number of events and the last node and stage
+ * - outcome and ended_at once a POST carries an OUTCOME (or a final stage such as "hangup")
+ * The timeline itself is read from the calls table, so every node the call passed through is listed in order.
+ *
+ * Main Functions:
+ * - createCallSessions(db): Returns { record(event), get(callId), list(options) } bound to an open sqlite3 database.
+ */
+
+// Stages that end a call when no OUTCOME is sent (compared in lower case)
+const FINAL_STAGES = ['end', 'ended', 'hangup', 'completed', 'disconnected'];
+
+/**
+ * Create the session store
+ * @param {Object} db - Open sqlite3 database (calls.db, with the calls table)
+ * @returns {Object} - { record, get, list }
+ */
+function createCallSessions(db) {
+  db.run(`CREATE TABLE IF NOT EXISTS call_sessions (
+    call_id TEXT PRIMARY KEY,
+    pbx_id TEXT,
+    caller_id_number TEXT,
+    caller_id_name TEXT,
+    caller_e164 TEXT,
+    dialed_number TEXT,
+    state TEXT,
+    extension TEXT,
+    first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+    events INTEGER NOT NULL DEFAULT 1,
+    last_node TEXT,
+    last_stage TEXT,
+    outcome TEXT,
+    ended_at DATETIME
+  )`);
+
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, err => (err ? reject(err) : resolve()));
+  });
+  const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+  const get = (sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+
+  /**
+   * Add one Notify event to its call's session (events without CALL_ID are not grouped)
+   * @param {Object} event - { CALL_ID, PBX_ID, CALLER_ID_NUMBER, CALLER_ID_NAME, CALLER_E164, DIALED_NUMBER,
+   *   State, Extension, NODE, STAGE, OUTCOME }
+   * @returns {Promise<Object|null>} - The updated session
+   */
+  async function record(event) {
+    if (!event.CALL_ID) return null;
+    const stage = event.STAGE ? String(event.STAGE) : null;
+    const outcome = event.OUTCOME ? String(event.OUTCOME).toLowerCase()
+      : (stage && FINAL_STAGES.includes(stage.toLowerCase()) ? stage.toLowerCase() : null);
+    await run(
+      `INSERT INTO call_sessions (call_id, pbx_id, caller_id_number, caller_id_name, caller_e164, dialed_number, state, extension,
+         last_node, last_stage, outcome, ended_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END)
+       ON CONFLICT (call_id) DO UPDATE SET
+         pbx_id = COALESCE(pbx_id, excluded.pbx_id),
+         caller_id_number = COALESCE(caller_id_number, excluded.caller_id_number),
+         caller_id_name = COALESCE(caller_id_name, excluded.caller_id_name),
+         caller_e164 = COALESCE(caller_e164, excluded.caller_e164),
+         dialed_number = COALESCE(dialed_number, excluded.dialed_number),
+         state = COALESCE(state, excluded.state),
+         extension = COALESCE(extension, excluded.extension),
+         last_seen = CURRENT_TIMESTAMP,
+         events = events + 1,
+         last_node = COALESCE(excluded.last_node, last_node),
+         last_stage = COALESCE(excluded.last_stage, last_stage),
+         outcome = COALESCE(excluded.outcome, outcome),
+         ended_at = COALESCE(excluded.ended_at, ended_at)`,
+      [
+        event.CALL_ID, event.PBX_ID || null, event.CALLER_ID_NUMBER || null, event.CALLER_ID_NAME || null,
+        event.CALLER_E164 || null, event.DIALED_NUMBER || null, event.State || null, event.Extension || null,
+        event.NODE || null, stage, outcome, outcome
+      ]
+    );
+    return get('SELECT * FROM call_sessions WHERE call_id = ?', [event.CALL_ID]);
+  }
+
+  /**
+   * A call session with its timeline
+   * @param {string} callId - CALL_ID
+   * @returns {Promise<Object|null>} - { session, nodes, durationSeconds, timeline } or null when the call is unknown
+   */
+  async function getSession(callId) {
+    const session = await get('SELECT * FROM call_sessions WHERE call_id = ?', [callId]);
+    const timeline = await all('SELECT * FROM calls WHERE CALL_ID = ? ORDER BY timestamp, id', [callId]);
+    if (!session && !timeline.length) return null;
+    const nodes = [];
+    timeline.forEach(event => {
+      if (event.NODE && nodes[nodes.length - 1] !== event.NODE) nodes.push(event.NODE);
+    });
+    const first = session ? session.first_seen : timeline[0].timestamp;
+    const last = session ? (session.ended_at || session.last_seen) : timeline[timeline.length - 1].timestamp;
+    return {
+      callId,
+      session: session || null,
+      nodes,
+      durationSeconds: Math.round((Date.parse(`${last}Z`) - Date.parse(`${first}Z`)) / 1000) || 0,
+      timeline
+    };
+  }
+
+  // Latest sessions (options.limit, default 100; options.open: only calls without an outcome)
+  function list(options = {}) {
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 100, 1), 1000);
+    const where = options.open ? 'WHERE outcome IS NULL' : '';
+    return all(`SELECT * FROM call_sessions ${where} ORDER BY last_seen DESC LIMIT ?`, [limit]);
+  }
+
+  return { record, get: getSession, list };
+}
+
+module.exports = { createCallSessions };
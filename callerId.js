@@ -0,0 +1,127 @@
+/**
+ * callerId.js
+ *
+ * Normalizes the caller ID numbers the dial plan sends to the webhooks (remoteccRouter.js, httpNotifyRouter.js)
+ * so routing and logging see the same structured number. Handles:
+ * - NANP numbers with or without +1 / 1 and any punctuation: "+1 (312) 555-0100", "13125550100", "312.555.0100"
+ * - Extensions: "312-555-0100 x204", "ext. 204", ";ext=204", "#204"
+ * - International numbers in E.164 ("+44 20 7946 0000") or dialed with 011
+ * - Blocked caller IDs: empty, "anonymous", "private", "restricted", "unknown", ...
+ * - Short numbers: 7-digit local numbers and internal extensions
+ *
+ * Main Functions:
+ * - parseCallerId(value): Structured result, see below.
+ *
+ * Result fields:
+ * - raw: The value as received
+ * - type: 'nanp', 'international', 'local' (7 digits), 'internal' (up to 6 digits), 'anonymous' or 'invalid'
+ * - valid: Whether the number can be dialed as-is (NANP area code and exchange start with 2-9)
+ * - countryCode: Calling code without "+", e.g. '1' or '44' (null when unknown)
+ * - country: 'NANP' for +1 numbers, else null (the calling code identifies the country)
+ * - e164: "+13125550100" (null when it cannot be built)
+ * - areaCode / exchange / lineNumber: NANP parts ("312", "555", "0100"); areaCode is what routing uses
+ * - tollFree: NANP 8XX toll-free area code
+ * - extension: Digits after x / ext / # (null if none)
+ * - reason: Why the number is anonymous or invalid (null otherwise)
+ */
+
+// Caller IDs that mean the number was withheld (compared in lower case without punctuation)
+const ANONYMOUS_VALUES = ['anonymous', 'private', 'privatenumber', 'restricted', 'unknown', 'unavailable', 'blocked', 'withheld', 'outofarea'];
+
+// NANP toll-free area codes
+const TOLL_FREE = ['800', '833', '844', '855', '866', '877', '888'];
+
+// 1- and 2-digit country calling codes (every other code has 3 digits)
+const SHORT_COUNTRY_CODES = [
+  '1', '7', '20', '27', '30', '31', '32', '33', '34', '36', '39', '40', '41', '43', '44', '45', '46', '47', '48', '49',
+  '51', '52', '53', '54', '55', '56', '57', '58', '60', '61', '62', '63', '64', '65', '66', '81', '82', '84', '86',
+  '90', '91', '92', '93', '94', '95', '98'
+];
+
+// Trailing extension: "x204", "ext. 204", "ext204", ";ext=204", "#204"
+const EXTENSION_PATTERN = /(?:;ext=|\s*(?:ext\.?|extension|x|#)\s*)(\d{1,6})\s*$/i;
+
+// Calling code at the start of international digits
+function countryCodeOf(digits) {
+  for (const length of [1, 2]) {
+    if (SHORT_COUNTRY_CODES.includes(digits.slice(0, length))) return digits.slice(0, length);
+  }
+  return digits.slice(0, 3);
+}
+
+// Result for a 10-digit NANP number
+function nanp(result, national) {
+  const areaCode = national.slice(0, 3);
+  const exchange = national.slice(3, 6);
+  const valid = /^[2-9]/.test(areaCode) && /^[2-9]/.test(exchange);
+  return {
+    ...result,
+    type: 'nanp',
+    valid,
+    countryCode: '1',
+    country: 'NANP',
+    e164: `+1${national}`,
+    areaCode,
+    exchange,
+    lineNumber: national.slice(6),
+    tollFree: TOLL_FREE.includes(areaCode),
+    reason: valid ? null : 'Area code and exchange must start with 2-9'
+  };
+}
+
+/**
+ * Parse a caller ID number
+ * @param {string} value - CALLER_ID_NUMBER as sent by the dial plan
+ * @returns {Object} - See the result fields above
+ */
+function parseCallerId(value) {
+  const raw = value === undefined || value === null ? '' : String(value);
+  const result = {
+    raw, type: 'invalid', valid: false, countryCode: null, country: null, e164: null,
+    areaCode: null, exchange: null, lineNumber: null, tollFree: false, extension: null, reason: null
+  };
+
+  let text = raw.trim();
+  if (!text || ANONYMOUS_VALUES.includes(text.toLowerCase().replace(/[^a-z]/g, ''))) {
+    return { ...result, type: 'anonymous', reason: text ? `Caller ID is "${text}"` : 'No caller ID' };
+  }
+
+  const extension = text.match(EXTENSION_PATTERN);
+  if (extension && text.slice(0, extension.index).replace(/\D/g, '').length >= 7) {
+    result.extension = extension[1];
+    text = text.slice(0, extension.index);
+  }
+
+  if (/[a-z]/i.test(text)) return { ...result, reason: 'Caller ID is not a number' };
+  const international = text.startsWith('+') || text.replace(/\D/g, '').startsWith('011');
+  let digits = text.replace(/\D/g, '');
+  if (!digits) return { ...result, type: 'anonymous', reason: 'Caller ID has no digits' };
+  if (/^0+$/.test(digits)) return { ...result, type: 'anonymous', reason: 'Caller ID is all zeros' };
+
+  if (international) {
+    if (digits.startsWith('011')) digits = digits.slice(3);
+    if (digits.startsWith('1')) {
+      return digits.length === 11 ? nanp(result, digits.slice(1)) : { ...result, countryCode: '1', country: 'NANP', reason: 'NANP numbers have 10 digits after +1' };
+    }
+    const countryCode = countryCodeOf(digits);
+    const valid = digits.length >= 8 && digits.length <= 15;
+    return {
+      ...result,
+      type: 'international',
+      valid,
+      countryCode,
+      e164: valid ? `+${digits}` : null,
+      reason: valid ? null : 'International numbers have 8 to 15 digits'
+    };
+  }
+
+  if (digits.length === 11 && digits.startsWith('1')) return nanp(result, digits.slice(1));
+  if (digits.length === 10) return nanp(result, digits);
+  if (digits.length === 7) {
+    return { ...result, type: 'local', valid: /^[2-9]/.test(digits), exchange: digits.slice(0, 3), lineNumber: digits.slice(3), reason: 'Local number without an area code' };
+  }
+  if (digits.length <= 6) return { ...result, type: 'internal', valid: true, extension: result.extension || digits };
+  return { ...result, reason: `Unexpected number of digits (${digits.length})` };
+}
+
+module.exports = { parseCallerId };
@@ -0,0 +1,169 @@
+/**
+ * callerStickiness.js
+ *
+ * Sends returning callers of the Remote Call Control webhook back to a known extension, before the routing rules run:
+ * - VIP overrides: numbers that always go to a fixed extension (table caller_overrides, managed through
+ *   /api/routing/vip), optionally until an expiry date
+ * - Stickiness: with ROUTING_STICKY_ENABLED, a caller who was routed within the last ROUTING_STICKY_WINDOW_MINUTES
+ *   goes to the extension of their last call (read from the events table of remotecc_events.db). Calls that went
+ *   to an after-hours or fallback extension are skipped, so callers stick to the extension that handled them.
+ * Callers are matched on their E.164 number (callerId.js); anonymous and internal callers never match.
+ *
+ * Main Functions:
+ * - createStickiness(db): Returns the functions below, bound to an open sqlite3 database (remotecc_events.db).
+ *
+ * The returned object exposes:
+ * - find(caller, date): { extension, state, source: 'vip' | 'sticky', override, lastCall } for a parsed caller, or null.
+ * - listOverrides() / getOverride(id) / createOverride(input) / updateOverride(id, input) / deleteOverride(id): VIP numbers.
+ */
+
+const { config } = require('./config'); // ROUTING_STICKY_ENABLED, ROUTING_STICKY_WINDOW_MINUTES
+const { parseCallerId } = require('./callerId'); // Normalize VIP numbers to E.164
+
+const EXTENSION_PATTERN = /^\d{1,10}$/;
+const OVERRIDE_FIELDS = ['number', 'extension', 'name', 'note', 'expires_at'];
+
+// Routing sources (events.ROUTING_SOURCE) whose extension did not really handle the caller
+const NOT_STICKY_SOURCES = ['after_hours', 'fallback', 'degraded', 'none'];
+
+// Error answered with a status code by the routes
+function httpError(status, message, errors) {
+  const error = new Error(message);
+  error.status = status;
+  if (errors) error.errors = errors;
+  return error;
+}
+
+// Date -> "YYYY-MM-DD HH:MM:SS" in UTC, the format of the events timestamp column
+function sqliteTime(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Validate and normalize VIP override input
+ * @param {Object} input - { number, extension, name, note, expires_at }
+ * @param {Object} [existing] - Stored override being updated (missing fields keep their value)
+ * @returns {{override: Object, errors: string[]}}
+ */
+function validateOverride(input, existing = {}) {
+  const override = {};
+  const errors = [];
+  for (const field of OVERRIDE_FIELDS) {
+    const value = input[field] !== undefined ? input[field] : existing[field];
+    override[field] = value === undefined || value === null || value === '' ? null : String(value).trim();
+  }
+  const caller = parseCallerId(override.number);
+  if (!caller.e164) errors.push('number must be a full phone number, e.g. +13125550100');
+  else override.number = caller.e164;
+  if (!EXTENSION_PATTERN.test(override.extension || '')) errors.push('extension must be a number');
+  if (override.expires_at) {
+    const expires = new Date(override.expires_at);
+    if (isNaN(expires)) errors.push('expires_at must be a date, e.g. 2026-12-31 or 2026-12-31T17:00:00Z');
+    else override.expires_at = expires.toISOString();
+  }
+  return { override, errors };
+}
+
+/**
+ * Create the returning-caller lookups
+ * @param {Object} db - Open sqlite3 database (remotecc_events.db, with the events table)
+ * @returns {Object} - { find, listOverrides, getOverride, createOverride, updateOverride, deleteOverride }
+ */
+function createStickiness(db) {
+  db.run(`CREATE TABLE IF NOT EXISTS caller_overrides (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    number TEXT NOT NULL UNIQUE,
+    extension TEXT NOT NULL,
+    name TEXT,
+    note TEXT,
+    expires_at TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) { return err ? reject(err) : resolve(this); });
+  });
+  const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+  const get = (sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+
+  /**
+   * Known extension for a caller: their VIP override, else (when enabled) the extension of their last call
+   * @param {Object} caller - parseCallerId result
+   * @param {Date} [date] - Moment of the call (default now)
+   * @returns {Promise<Object|null>} - { extension, state, source, override, lastCall } or null
+   */
+  async function find(caller, date = new Date()) {
+    if (!caller || !caller.e164) return null;
+    const override = await get('SELECT * FROM caller_overrides WHERE number = ?', [caller.e164]);
+    if (override && (!override.expires_at || new Date(override.expires_at) > date)) {
+      return { extension: override.extension, state: null, source: 'vip', override, lastCall: null };
+    }
+
+    if (!config.ROUTING_STICKY_ENABLED || !(config.ROUTING_STICKY_WINDOW_MINUTES > 0)) return null;
+    const since = new Date(date.getTime() - config.ROUTING_STICKY_WINDOW_MINUTES * 60 * 1000);
+    const lastCall = await get(
+      `SELECT id, MATCHED_EXTENSION, MATCHED_STATE, ROUTING_SOURCE, timestamp FROM events
+       WHERE CALLER_E164 = ? AND MATCHED_EXTENSION IS NOT NULL AND MATCHED_EXTENSION != ''
+         AND timestamp >= ? AND timestamp <= ?
+         AND (ROUTING_SOURCE IS NULL OR ROUTING_SOURCE NOT IN (${NOT_STICKY_SOURCES.map(() => '?').join(', ')}))
+       ORDER BY timestamp DESC, id DESC LIMIT 1`,
+      [caller.e164, sqliteTime(since), sqliteTime(date), ...NOT_STICKY_SOURCES]
+    );
+    if (!lastCall) return null;
+    return { extension: lastCall.MATCHED_EXTENSION, state: lastCall.MATCHED_STATE, source: 'sticky', override: null, lastCall };
+  }
+
+  // VIP overrides
+  function listOverrides() {
+    return all('SELECT * FROM caller_overrides ORDER BY number');
+  }
+
+  function getOverride(id) {
+    return get('SELECT * FROM caller_overrides WHERE id = ?', [id]);
+  }
+
+  // Store a new override; throws an Error with status 400 (invalid input) or 409 (number already listed)
+  async function createOverride(input) {
+    const { override, errors } = validateOverride(input);
+    if (errors.length) throw httpError(400, errors.join('; '), errors);
+    await checkUnique(override.number);
+    const result = await run(
+      `INSERT INTO caller_overrides (${OVERRIDE_FIELDS.join(', ')}) VALUES (${OVERRIDE_FIELDS.map(() => '?').join(', ')})`,
+      OVERRIDE_FIELDS.map(field => override[field])
+    );
+    return getOverride(result.lastID);
+  }
+
+  // Update an override (missing fields keep their value); null if it does not exist
+  async function updateOverride(id, input) {
+    const existing = await getOverride(id);
+    if (!existing) return null;
+    const { override, errors } = validateOverride(input, existing);
+    if (errors.length) throw httpError(400, errors.join('; '), errors);
+    await checkUnique(override.number, existing.id);
+    await run(
+      `UPDATE caller_overrides SET ${OVERRIDE_FIELDS.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...OVERRIDE_FIELDS.map(field => override[field]), id]
+    );
+    return getOverride(id);
+  }
+
+  async function deleteOverride(id) {
+    const result = await run('DELETE FROM caller_overrides WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
+
+  // A number can have only one override
+  async function checkUnique(number, ownId) {
+    const other = await get('SELECT id FROM caller_overrides WHERE number = ?', [number]);
+    if (other && other.id !== ownId) throw httpError(409, `${number} already has an override (id ${other.id})`);
+  }
+
+  return { find, listOverrides, getOverride, createOverride, updateOverride, deleteOverride };
+}
+
+module.exports = { createStickiness, validateOverride };
@@ -0,0 +1,275 @@
+/**
+ * config.js
+ *
+ * Central configuration for every GoTo server in this project.
+ * Each setting is declared once in SCHEMA with its type, default and the group of features that uses it,
+ * and is converted to that type (numbers, booleans, lists, time zones) here, so the other modules no longer parse
+ * process.env themselves.
+ *
+ * Sources (later wins):
+ * 1. The defaults in SCHEMA
+ * 2. A JSON or YAML config file: CONFIG_FILE=path, otherwise goto.config.json, goto.config.yaml or
+ *    goto.config.yml in the project root. Keys use the environment variable names, e.g. { "PORT": 5001 }.
+ * 3. .env and the process environment
+ * With GOTO_MOCK=true the OAuth and API URLs point at the local mock (mockGoTo.js) and the OAuth client and
+ * organization settings default to the mock's fixtures.
+ *
+ * Main Functions:
+ * - config: The loaded settings (config.PORT, config.AUTO_FETCH_ENABLED, ...), read-only.
+ * - loadConfig(options): Reads and converts the settings from the sources above.
+ * - findMissing(values, groups): Required settings of the given groups that have no value.
+ * - reportStartup(serverName, groups): Prints the config file, enabled features and missing values;
+ *   exits when a required value is missing or a value is invalid.
+ *
+ * Groups: server, modules, auth, oauth, tokens, organizations, phoneNumbers, routing, areaCodes, webhooks, retention
+ */
+
+require('dotenv').config(); // Load .env into process.env
+const fs = require('fs'); // To read the config file
+const os = require('os'); // Default token vault location
+const path = require('path'); // Config file paths
+
+const DEFAULT_CONFIG_FILES = ['goto.config.json', 'goto.config.yaml', 'goto.config.yml'];
+
+// Every setting: key (environment variable name), group, type, default and how it is reported
+// - required: true (or a function of the loaded values) when the group cannot work without it
+// - recommended: reported as missing (true or a function of the loaded values), but the server still starts
+// - feature: shown in the "Features" line of the startup report
+const SCHEMA = [
+  { key: 'PORT', group: 'server', type: 'number', default: 5000, description: 'Port the server listens on' },
+  { key: 'MODULES', group: 'modules', type: 'list', default: [], feature: true, description: 'Modules loaded by server.js (default: all)' },
+
+  { key: 'LOCAL_USERS', group: 'auth', type: 'string', default: '', recommended: values => !values.API_KEYS && !values.AUTH_DISABLED, description: 'Browser logins as username:role:password,...' },
+  { key: 'API_KEYS', group: 'auth', type: 'string', default: '', description: 'API keys as key:role,...' },
+  { key: 'SESSION_TTL_HOURS', group: 'auth', type: 'number', default: 12, description: 'Login session lifetime in hours' },
+  { key: 'CORS_ORIGINS', group: 'auth', type: 'list', default: [], description: 'Other sites allowed to call the API' },
+  { key: 'AUTH_DISABLED', group: 'auth', type: 'boolean', default: false, feature: true, description: 'Turn the login layer off (local development only)' },
+
+  { key: 'OAUTH_CLIENT_ID', group: 'oauth', type: 'string', default: '', required: true, description: 'Client ID of the GoTo OAuth client' },
+  { key: 'OAUTH_CLIENT_SECRET', group: 'oauth', type: 'string', default: '', required: true, description: 'Client secret of the GoTo OAuth client' },
+  { key: 'OAUTH_REDIRECT_URI', group: 'oauth', type: 'string', default: '', required: values => values.OAUTH_GRANT_TYPE !== 'client_credentials', description: 'OAuth callback URL, e.g. http://localhost:5000/login/oauth2/code/goto' },
+  { key: 'OAUTH_SERVICE_URL', group: 'oauth', type: 'string', default: 'https://authentication.logmeininc.com/oauth', description: 'GoTo OAuth server' },
+  { key: 'OAUTH_PKCE', group: 'oauth', type: 'boolean', default: true, feature: true, description: 'Use PKCE in the authorization code flow' },
+  { key: 'OAUTH_GRANT_TYPE', group: 'oauth', type: 'enum', values: ['authorization_code', 'client_credentials'], default: 'authorization_code', feature: true, description: 'How tokens are obtained and renewed' },
+  { key: 'GOTO_API_URL', group: 'oauth', type: 'string', default: 'https://api.goto.com', description: 'Base URL of the GoTo APIs (gotoClient.js)' },
+  { key: 'GOTO_IDENTITY_URL', group: 'oauth', type: 'string', default: 'https://api.getgo.com', description: 'Base URL of the GoTo SCIM identity API' },
+  { key: 'GOTO_API_MAX_RETRIES', group: 'oauth', type: 'number', default: 3, description: 'Retries of GoTo API calls on 429/5xx' },
+  { key: 'GOTO_MOCK', group: 'oauth', type: 'boolean', default: false, feature: true, detail: values => values.GOTO_API_URL, description: 'Use the local mock GoTo API (node mockGoTo.js) instead of GoTo' },
+  { key: 'GOTO_MOCK_PORT', group: 'oauth', type: 'number', default: 5050, description: 'Port of the mock GoTo API' },
+  { key: 'GOTO_MOCK_FIXTURES', group: 'oauth', type: 'string', default: path.join(__dirname, 'mock-fixtures.json'), description: 'Fixture data served by the mock GoTo API' },
+
+  { key: 'TOKEN_ENCRYPTION_KEY', group: 'tokens', type: 'string', default: '', required: true, description: 'Token vault key (node tokenVault.js keygen)' },
+  { key: 'TOKEN_STORE_DIR', group: 'tokens', type: 'string', default: path.join(os.homedir(), '.goto-tools', 'tokens'), description: 'Directory of the encrypted token vault' },
+
+  { key: 'ORGANIZATIONALID', group: 'organizations', type: 'string', default: '', recommended: true, description: 'Default GoTo organization ID' },
+  { key: 'ORGANIZATIONS', group: 'organizations', type: 'string', default: '', description: 'Extra organizations as orgId[:label[:accountKey]],...' },
+  { key: 'ACCOUNTKEY', group: 'organizations', type: 'string', default: '', recommended: true, description: 'accountKey of the default organization' },
+  { key: 'ExtensionID', group: 'organizations', type: 'string', default: '', description: 'Extension prefilled in the dashboards' },
+
+  { key: 'AUTO_FETCH_ENABLED', group: 'phoneNumbers', type: 'boolean', default: false, feature: true, detail: values => `every ${values.AUTO_FETCH_INTERVAL_MINUTES} min`, description: 'Fetch phone numbers on a schedule' },
+  { key: 'AUTO_FETCH_INTERVAL_MINUTES', group: 'phoneNumbers', type: 'number', default: 60, description: 'Minutes between automatic fetches' },
+  { key: 'AUTO_CLEANUP_ENABLED', group: 'phoneNumbers', type: 'boolean', default: false, feature: true, detail: values => `every ${values.AUTO_CLEANUP_INTERVAL_HOURS} h, keep ${values.RETENTION_DAYS} days`, description: 'Delete old phone number rows on a schedule' },
+  { key: 'AUTO_CLEANUP_INTERVAL_HOURS', group: 'phoneNumbers', type: 'number', default: 24, description: 'Hours between automatic cleanups' },
+  { key: 'RETENTION_DAYS', group: 'phoneNumbers', type: 'number', default: 90, description: 'Days of phone number rows to keep' },
+
+  { key: 'ROUTING_DB', group: 'routing', type: 'string', default: path.join(__dirname, 'routing.db'), description: 'SQLite file with the Remote Call Control routing rules' },
+  { key: 'ROUTING_TIMEZONE', group: 'routing', type: 'timezone', default: '', description: 'Default time zone of routing rules, e.g. America/Chicago (default: server time)' },
+  { key: 'ROUTING_FALLBACK_EXTENSION', group: 'routing', type: 'string', default: '', feature: true, description: 'Extension for calls that match no rule and no area code' },
+  { key: 'ROUTING_FALLBACK_BY_DIALED', group: 'routing', type: 'list', default: [], description: 'Fallback extension per dialed number as number:extension,... (before ROUTING_FALLBACK_EXTENSION)' },
+  { key: 'ROUTING_TIMEOUT_MS', group: 'routing', type: 'number', default: 2000, description: 'Longest a routing decision may take before the fallback answers the call' },
+  { key: 'ROUTING_BREAKER_THRESHOLD', group: 'routing', type: 'number', default: 3, description: 'Failed routing decisions in a row that open the circuit breaker' },
+  { key: 'ROUTING_BREAKER_RESET_SECONDS', group: 'routing', type: 'number', default: 30, description: 'Seconds the breaker stays open before routing is tried again' },
+  { key: 'ROUTING_ALERT_WEBHOOK', group: 'routing', type: 'string', default: '', feature: true, description: 'URL that receives a JSON POST when routing degrades or recovers' },
+  { key: 'ROUTING_STICKY_ENABLED', group: 'routing', type: 'boolean', default: false, feature: true, detail: values => `${values.ROUTING_STICKY_WINDOW_MINUTES} min`, description: 'Route returning callers to the extension that handled their last call' },
+  { key: 'ROUTING_STICKY_WINDOW_MINUTES', group: 'routing', type: 'number', default: 1440, description: 'How long a caller stays with the same extension after a call' },
+
+  { key: 'WEBHOOK_VERIFY', group: 'webhooks', type: 'enum', values: ['off', 'secret', 'hmac'], default: 'off', feature: true, description: 'How POST /remotecc and /notify are verified: shared-secret header or HMAC signature' },
+  { key: 'WEBHOOK_SECRET', group: 'webhooks', type: 'string', default: '', required: values => values.WEBHOOK_VERIFY !== 'off', description: 'Shared secret (or HMAC key) of the dial-plan webhooks' },
+  { key: 'WEBHOOK_SECRET_HEADER', group: 'webhooks', type: 'string', default: 'X-Webhook-Secret', description: 'Header carrying the shared secret' },
+  { key: 'WEBHOOK_SIGNATURE_HEADER', group: 'webhooks', type: 'string', default: 'X-Webhook-Signature', description: 'Header carrying the HMAC-SHA256 of the body' },
+  { key: 'WEBHOOK_ALLOWED_IPS', group: 'webhooks', type: 'list', default: [], description: 'Addresses or IPv4 CIDR ranges allowed to call the webhooks (default: any)' },
+  { key: 'WEBHOOK_ALLOWED_PBX_IDS', group: 'webhooks', type: 'list', default: [], description: 'PBX_ID values accepted by the webhooks (default: any)' },
+  { key: 'PAYLOAD_FIELDS_FILE', group: 'webhooks', type: 'string', default: path.join(__dirname, 'payload-fields.json'), description: 'JSON file declaring the extra dial-plan variables the webhooks capture' },
+  { key: 'WEBHOOK_TRUST_PROXY', group: 'webhooks', type: 'boolean', default: false, description: 'Take the webhook caller address from the last X-Forwarded-For entry, the one added by LocalTunnel or the proxy' },
+  { key: 'CALL_RETENTION_ENABLED', group: 'retention', type: 'boolean', default: false, feature: true, detail: values => `every ${values.CALL_RETENTION_INTERVAL_HOURS} h, keep calls ${values.CALL_RETENTION_DAYS ? values.CALL_RETENTION_DAYS + ' days' : 'forever'}, events ${values.EVENT_RETENTION_DAYS ? values.EVENT_RETENTION_DAYS + ' days' : 'forever'}`, description: 'Roll up, archive and purge old calls (calls.db) and routing events (remotecc_events.db) on a schedule' },
+  { key: 'CALL_RETENTION_INTERVAL_HOURS', group: 'retention', type: 'number', default: 1, description: 'Hours between retention runs (rollups are brought up to date on each run)' },
+  { key: 'CALL_RETENTION_DAYS', group: 'retention', type: 'number', default: 90, description: 'Days of HTTP Notify calls to keep in calls.db (0 = forever)' },
+  { key: 'EVENT_RETENTION_DAYS', group: 'retention', type: 'number', default: 90, description: 'Days of Remote Call Control events to keep in remotecc_events.db (0 = forever)' },
+  { key: 'CALL_ARCHIVE_DIR', group: 'retention', type: 'string', default: path.join(__dirname, 'archive'), description: 'Folder for the gzipped NDJSON archives of purged calls and events' },
+
+  { key: 'AREA_CODES_CSV', group: 'areaCodes', type: 'string', default: '', feature: true, description: 'CSV imported into statescodes.db whenever it changes, e.g. statescodes.csv' }
+];
+
+// Convert a raw value (string from the environment, or any JSON/YAML value) to the setting's type
+// Returns { value } or { error }
+function convert(setting, raw) {
+  switch (setting.type) {
+    case 'number': {
+      const value = Number(raw);
+      return Number.isFinite(value) ? { value } : { error: `"${raw}" is not a number` };
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      const text = String(raw).trim().toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(text)) return { value: true };
+      if (['false', '0', 'no', 'off'].includes(text)) return { value: false };
+      return { error: `"${raw}" is not true or false` };
+    }
+    case 'list': {
+      const items = Array.isArray(raw) ? raw : String(raw).split(',');
+      return { value: items.map(item => String(item).trim()).filter(Boolean) };
+    }
+    case 'enum':
+      return setting.values.includes(String(raw))
+        ? { value: String(raw) }
+        : { error: `"${raw}" must be one of ${setting.values.join(', ')}` };
+    case 'timezone':
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: String(raw) });
+        return { value: String(raw) };
+      } catch (err) {
+        return { error: `"${raw}" is not an IANA time zone, e.g. America/Chicago` };
+      }
+    default:
+      return { value: String(raw) };
+  }
+}
+
+// Read the JSON/YAML config file (CONFIG_FILE, or the first default file that exists)
+function readConfigFile(file) {
+  const candidates = file ? [file] : DEFAULT_CONFIG_FILES.map(name => path.join(__dirname, name));
+  const found = candidates.find(candidate => fs.existsSync(candidate));
+  if (!found) {
+    if (file) throw new Error(`Config file not found: ${file}`);
+    return { file: null, data: {} };
+  }
+  const text = fs.readFileSync(found, 'utf8');
+  const data = /\.ya?ml$/i.test(found) ? require('yaml').parse(text) : JSON.parse(text);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Config file ${found} must contain an object of settings`);
+  }
+  return { file: found, data };
+}
+
+// GOTO_MOCK=true: send OAuth and API calls to the mock and fill in what a live setup would need
+function applyMockDefaults(values) {
+  const mockUrl = `http://localhost:${values.GOTO_MOCK_PORT}`;
+  values.GOTO_API_URL = mockUrl;
+  values.GOTO_IDENTITY_URL = mockUrl;
+  values.OAUTH_SERVICE_URL = `${mockUrl}/oauth`;
+  values.OAUTH_CLIENT_ID = values.OAUTH_CLIENT_ID || 'mock-client';
+  values.OAUTH_CLIENT_SECRET = values.OAUTH_CLIENT_SECRET || 'mock-secret';
+  values.OAUTH_REDIRECT_URI = values.OAUTH_REDIRECT_URI || `http://localhost:${values.PORT}/login/oauth2/code/goto`;
+  try {
+    const { organization } = JSON.parse(fs.readFileSync(values.GOTO_MOCK_FIXTURES, 'utf8'));
+    values.ORGANIZATIONALID = values.ORGANIZATIONALID || organization.id;
+    values.ACCOUNTKEY = values.ACCOUNTKEY || organization.accountKey;
+  } catch (err) {
+    // The mock reports unreadable fixtures itself; organization settings then stay as configured
+  }
+}
+
+/**
+ * Load the configuration
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Environment variables (default: process.env)
+ * @param {string} [options.file] - Config file path (default: CONFIG_FILE or goto.config.json/.yaml/.yml)
+ * @returns {{values: Object, file: string|null, errors: string[], warnings: string[]}}
+ */
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const values = {};
+  const errors = [];
+  const warnings = [];
+
+  let fileData = {};
+  let file = null;
+  try {
+    ({ file, data: fileData } = readConfigFile(options.file || env.CONFIG_FILE));
+  } catch (err) {
+    errors.push(err.message);
+  }
+  const known = new Set(SCHEMA.map(setting => setting.key));
+  Object.keys(fileData)
+    .filter(key => !known.has(key))
+    .forEach(key => warnings.push(`Unknown setting ${key} in ${file}`));
+
+  for (const setting of SCHEMA) {
+    const fromEnv = env[setting.key];
+    const raw = fromEnv !== undefined && fromEnv !== '' ? fromEnv : fileData[setting.key];
+    if (raw === undefined || raw === null || raw === '') {
+      values[setting.key] = setting.default;
+      continue;
+    }
+    const { value, error } = convert(setting, raw);
+    if (error) {
+      errors.push(`${setting.key}: ${error}`);
+      values[setting.key] = setting.default;
+    } else {
+      values[setting.key] = value;
+    }
+  }
+  if (values.GOTO_MOCK) applyMockDefaults(values);
+  return { values, file, errors, warnings };
+}
+
+// Whether a setting has a value (lists must not be empty)
+function isSet(values, setting) {
+  const value = values[setting.key];
+  return Array.isArray(value) ? value.length > 0 : value !== '' && value !== undefined && value !== null;
+}
+
+// Whether a setting is required (or recommended) with the given values
+function applies(values, setting, flag) {
+  return typeof setting[flag] === 'function' ? setting[flag](values) : !!setting[flag];
+}
+
+/**
+ * Required settings of the given groups that have no value
+ * @param {Object} values - Loaded settings
+ * @param {string[]} groups - Groups used by the server
+ * @returns {Object[]} - Schema entries of the missing settings
+ */
+function findMissing(values, groups) {
+  return SCHEMA.filter(setting => groups.includes(setting.group) && applies(values, setting, 'required') && !isSet(values, setting));
+}
+
+const loaded = loadConfig();
+const config = Object.freeze(loaded.values);
+
+// Text for one feature in the startup report
+function describeFeature(setting) {
+  const value = config[setting.key];
+  if (setting.type === 'boolean') {
+    return `${setting.key}=${value ? 'on' : 'off'}${value && setting.detail ? ` (${setting.detail(config)})` : ''}`;
+  }
+  if (setting.type === 'list') return `${setting.key}=${value.length ? value.join(',') : 'all'}`;
+  return `${setting.key}=${value === '' ? 'off' : value}`;
+}
+
+/**
+ * Print which config file and features are in use and which values are missing.
+ * Exits the process when a required value is missing or a value is invalid.
+ * @param {string} serverName - Shown in the report, e.g. 'napphovol.js'
+ * @param {string[]} groups - Setting groups the server uses, e.g. ['server', 'auth', 'oauth', 'tokens']
+ */
+function reportStartup(serverName, groups) {
+  const used = SCHEMA.filter(setting => groups.includes(setting.group));
+  const missing = findMissing(config, groups);
+  const optional = used.filter(setting => applies(config, setting, 'recommended') && !isSet(config, setting));
+  const features = used.filter(setting => setting.feature);
+
+  console.log(`Configuration for ${serverName} (config file: ${loaded.file || 'none'})`);
+  if (features.length) console.log(`  Features: ${features.map(describeFeature).join(', ')}`);
+  optional.forEach(setting => console.warn(`  Not set: ${setting.key} - ${setting.description}`));
+  loaded.warnings.forEach(warning => console.warn(`  Warning: ${warning}`));
+  loaded.errors.forEach(error => console.error(`  Invalid: ${error}`));
+  missing.forEach(setting => console.error(`  Missing required setting: ${setting.key} - ${setting.description}`));
+
+  if (missing.length || loaded.errors.length) {
+    console.error(`${serverName} cannot start until the settings above are fixed (in .env or the config file).`);
+    process.exit(1);
+  }
+}
+
+module.exports = { config, SCHEMA, loadConfig, findMissing, reportStartup };
@@ -4,77 +4,159 @@
  * This module provides helper functions for handling OAuth 2.0 authentication with GoTo APIs.
  * It generates authorization URLs for user login/consent and exchanges authorization codes for access tokens.
  *
+ * Supported flows:
+ * - Authorization code with PKCE (S256). Every login gets its own entry in a pending-state map with a TTL,
+ *   so several browser tabs (or organizations) can log in at the same time.
+ * - Client credentials, for headless scheduled jobs that run without a user (service account).
+ * - Refresh token, used by tokenManager.js to keep tokens fresh.
+ *
  * Main Functions:
- * - getAuthUrl(scope): Generates the OAuth authorization URL and CSRF state for user login.
- * - getToken(authCode, scope): Exchanges an authorization code for an access token and refresh token.
+ * - getAuthUrl(scope, context): Generates the OAuth authorization URL and registers its state (and PKCE verifier).
+ * - completeAuthorization(query): Validates the callback state and exchanges the code; shared by every
+ *   /login/oauth2/code/goto handler.
+ * - getToken(authCode, scope, codeVerifier): Exchanges an authorization code for an access token and refresh token.
+ * - getClientCredentialsToken(scope): Requests an access token with the client credentials grant.
+ * - refreshToken(refreshToken, scope): Exchanges a refresh token for a new access token.
+ * - getPendingStates() / clearPendingStates(): Inspect or reset logins that have not completed yet.
+ *
+ * Configuration (.env or the config file, see config.js):
+ * - OAUTH_CLIENT_ID, OAUTH_CLIENT_SECRET, OAUTH_REDIRECT_URI
+ * - OAUTH_SERVICE_URL: OAuth server (default https://authentication.logmeininc.com/oauth)
+ * - OAUTH_PKCE=false: Disable PKCE (enabled by default)
  *
  * Usage:
- * This module is used by backend files such as Extensions.js and getTokenServer.js to manage authentication flows.
+ * This module is used by backend files such as Extensions.js and getTokenServer.js to manage authentication flows,
+ * and by tokenManager.js to keep their tokens refreshed.
  * It is not used directly by any frontend code.
  *
  * Dependencies:
  * - simple-oauth2: For OAuth 2.0 logic
- * - crypto: For secure random state generation
- * - dotenv: For loading environment variables
+ * - crypto: For secure random state and PKCE verifier generation
+ * - config.js: For the OAuth client settings
  */
 
-// Load environment variables from .env file
-require("dotenv").config(); // Loads .env file into process.env
-// Import AuthorizationCode class from simple-oauth2 for OAuth 2.0 flows
-const { AuthorizationCode } = require("simple-oauth2"); // Handles OAuth 2.0 logic
+// Load the OAuth client settings (.env or the config file)
+const { config } = require("./config"); // OAUTH_CLIENT_ID, OAUTH_SERVICE_URL, ...
+// Import the grant classes from simple-oauth2 for OAuth 2.0 flows
+const { AuthorizationCode, ClientCredentials } = require("simple-oauth2"); // Handles OAuth 2.0 logic
 // Import Node.js crypto module for secure random string generation
-const crypto = require("crypto"); // Used for generating random state
+const crypto = require("crypto"); // Used for generating random state and PKCE values
 
-const OAUTH_HOST = 'https://authentication.logmeininc.com/oauth';
-// OAuth client configuration using environment variables
+// How long a started login may take before its state expires
+const STATE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+// OAuth client configuration from config.js
 const oauthConfig = {
   client: {
     // OAuth client ID from environment
-    id: process.env.OAUTH_CLIENT_ID, // Client ID for OAuth
+    id: config.OAUTH_CLIENT_ID, // Client ID for OAuth
     // OAuth client secret from environment
-    secret: process.env.OAUTH_CLIENT_SECRET // Client secret for OAuth
+    secret: config.OAUTH_CLIENT_SECRET // Client secret for OAuth
   },
   auth: {
-    // OAuth token host URL from environment
-    tokenHost: OAUTH_HOST // OAuth server base URL
+    // OAuth token host URL (OAUTH_SERVICE_URL, defaults to the GoTo authentication server)
+    tokenHost: config.OAUTH_SERVICE_URL // OAuth server base URL
   }
 };
 
 // Create an OAuth client instance
 const oauthClient = new AuthorizationCode(oauthConfig); // Main OAuth client
+// Client for the client credentials (service account) grant
+const serviceClient = new ClientCredentials(oauthConfig); // Used by headless jobs
+
+// Logins that have been started but not completed: state -> { timestamp, scope, codeVerifier, context }
+const pendingStates = new Map();
 
 // Generate a random state string for CSRF protection
 function generateState() {
   return crypto.randomBytes(15).toString('hex'); // 30-char random hex string
 }
 
-// Generate the OAuth authorization URL for user login/consent
-function getAuthUrl(scope) {
+// Generate a PKCE code verifier and its S256 challenge
+function generatePkcePair() {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url'); // 43-char verifier
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge };
+}
+
+// Remove states older than STATE_TTL_MS
+function pruneStates() {
+  const now = Date.now();
+  for (const [state, data] of pendingStates.entries()) {
+    if (now - data.timestamp > STATE_TTL_MS) pendingStates.delete(state);
+  }
+}
+
+// Build an Error carrying the HTTP status the callback handler should answer with
+function authError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Generate the OAuth authorization URL for user login/consent
+ * @param {string} scope - Requested scopes
+ * @param {Object} [context] - Data returned again by completeAuthorization() (e.g. { org })
+ * @returns {{url: string, state: string}}
+ */
+function getAuthUrl(scope, context = {}) {
+  pruneStates();
   // Generate a random state for this auth request
   const state = generateState(); // CSRF protection
-  // Build the authorization URL with redirect URI, scope, and state
-  const url = oauthClient.authorizeURL({
-    redirect_uri: process.env.OAUTH_REDIRECT_URI, // Where to redirect after login
+  const pending = { timestamp: Date.now(), scope, codeVerifier: null, context };
+  const params = {
+    redirect_uri: config.OAUTH_REDIRECT_URI, // Where to redirect after login
     scope, // Requested scopes
     state // CSRF state
-  });
+  };
+  if (config.OAUTH_PKCE) {
+    const { codeVerifier, codeChallenge } = generatePkcePair(); // Proof key for this login only
+    pending.codeVerifier = codeVerifier;
+    params.code_challenge = codeChallenge;
+    params.code_challenge_method = 'S256';
+  }
+  pendingStates.set(state, pending); // Remember this login until the callback arrives
+  // Build the authorization URL with redirect URI, scope, state and PKCE challenge
+  const url = oauthClient.authorizeURL(params);
   // Return both the URL and the state
   return { url, state }; // Used by server to start OAuth flow
 }
 
+/**
+ * Handle the query of a /login/oauth2/code/goto callback: validate and consume the state,
+ * then exchange the code (with the matching PKCE verifier) for tokens.
+ * @param {Object} query - req.query of the callback ({ code, state, error })
+ * @returns {Promise<{token: Object, scope: string, context: Object}>}
+ * @throws {Error} - With a status property (400, 403 or 500)
+ */
+async function completeAuthorization(query) {
+  pruneStates();
+  const pending = query.state ? pendingStates.get(query.state) : null;
+  if (!pending) throw authError('Invalid or expired state', 403);
+  pendingStates.delete(query.state); // Each state can only be used once
+  if (query.error) throw authError(`Authorization failed: ${query.error_description || query.error}`, 400);
+  if (!query.code) throw authError('Missing authorization code', 400);
+  try {
+    const token = await getToken(query.code, pending.scope, pending.codeVerifier);
+    return { token, scope: pending.scope, context: pending.context };
+  } catch (error) {
+    throw authError(error.message, 500);
+  }
+}
+
 // Exchange an authorization code for an access token
-async function getToken(authCode, scope) {
+async function getToken(authCode, scope, codeVerifier) {
   // Prepare token request parameters
   const tokenParams = {
     code: authCode, // Code received from OAuth server
-    redirect_uri: process.env.OAUTH_REDIRECT_URI, // Must match registered URI
+    redirect_uri: config.OAUTH_REDIRECT_URI, // Must match registered URI
     scope // Requested scopes
   };
+  if (codeVerifier) tokenParams.code_verifier = codeVerifier; // PKCE proof for this login
   try {
     // Request the access token from the OAuth server
     const tokenResponse = await oauthClient.getToken(tokenParams); // Exchange code for token
     // Only expect: access_token, refresh_token, expires_in, scope, principal in token response
-    // Remove any logic for deprecated fields
     // Return the token object
     return tokenResponse.token; // Contains access_token, refresh_token, etc.
   } catch (error) {
@@ -83,5 +165,54 @@ async function getToken(authCode, scope) {
   }
 }
 
+// Request an access token for the OAuth client itself (no user, no refresh token)
+async function getClientCredentialsToken(scope) {
+  try {
+    const tokenResponse = await serviceClient.getToken(scope ? { scope } : {}); // Client credentials grant
+    return tokenResponse.token; // Contains access_token, expires_in
+  } catch (error) {
+    throw new Error('Client Credentials Error: ' + error.message); // Error handling
+  }
+}
+
+// Exchange a refresh token for a new access token
+async function refreshToken(refreshTokenValue, scope) {
+  try {
+    // Wrap the stored refresh token so simple-oauth2 can refresh it
+    const accessToken = oauthClient.createToken({ refresh_token: refreshTokenValue }); // Token wrapper
+    const refreshed = await accessToken.refresh(scope ? { scope } : {}); // Refresh with same scopes
+    // GoTo may omit refresh_token when it is not rotated, so keep the old one
+    return { ...refreshed.token, refresh_token: refreshed.token.refresh_token || refreshTokenValue }; // Contains access_token, expires_in, etc.
+  } catch (error) {
+    // Throw an error if the refresh fails
+    throw new Error('Refresh Token Error: ' + error.message); // Error handling
+  }
+}
+
+// Logins that are still waiting for their callback (for debug endpoints; verifiers are not exposed)
+function getPendingStates() {
+  pruneStates();
+  return Array.from(pendingStates.entries()).map(([state, data]) => ({
+    state,
+    scope: data.scope,
+    context: data.context,
+    pkce: !!data.codeVerifier,
+    expiresAt: new Date(data.timestamp + STATE_TTL_MS).toISOString()
+  }));
+}
+
+// Forget every pending login (forces a fresh /auth)
+function clearPendingStates() {
+  pendingStates.clear();
+}
+
 // Export the main functions for use in other modules
-module.exports = { getAuthUrl, getToken }; // Used by getTokenServer.js
+module.exports = {
+  getAuthUrl,
+  completeAuthorization,
+  getToken,
+  getClientCredentialsToken,
+  refreshToken,
+  getPendingStates,
+  clearPendingStates
+}; // Used by the servers and tokenManager.js
@@ -0,0 +1,238 @@
+/**
+ * gotoClient.js
+ *
+ * Client for the GoTo REST APIs used by the routers in this project.
+ * It adds the bearer token of an organization's token manager (tokenManager.js), refreshes it once when the
+ * API answers 401, backs off exponentially on 429 and 5xx responses (honouring Retry-After), and follows
+ * both pagination styles of the GoTo APIs:
+ * - pageMarker: Voicemail and Voice Admin lists return nextPageMarker until the last page
+ * - page/pageSize: Call Reports return pages until one is shorter than pageSize
+ *
+ * Main Functions:
+ * - GoToClient: One client per organization (or per explicit access token), see the methods below.
+ *
+ * GoToClient methods:
+ * - request(options): One API call (with auth, refresh and retries); returns the axios response.
+ * - get(path, params, options): GET that returns only the response body.
+ * - getAllPages(path, params, options): Follows the pagination and returns every item.
+ * - Call Reports: getUserActivityReport(params), getPhoneNumberActivity(params), getAllPhoneNumberActivity(params)
+ * - Voicemail: listVoicemailboxes(params), getAllVoicemailboxes(params), listVoicemails(voicemailboxId, params)
+ * - Voice Admin: getAllPhoneNumbers(accountKey), getPhoneNumber(params), listOrganizationAccounts(organizationId),
+ *   getAllAccountPhoneNumbers(accountId)
+ * - Identity: getScimMe(), getAdminMe(options)
+ *
+ * Configuration (.env or the config file, see config.js):
+ * - GOTO_API_URL: Base URL of the GoTo APIs (default https://api.goto.com), e.g. a local mock server
+ * - GOTO_IDENTITY_URL: Base URL of the SCIM identity API (default https://api.getgo.com)
+ * - GOTO_API_MAX_RETRIES: Retries on 429/5xx and network errors (default 3)
+ *
+ * Usage:
+ *   const api = new GoToClient({ tokens: tenants.forOrg(orgId) });
+ *   const numbers = await api.getAllPhoneNumbers(accountKey);
+ *
+ * Errors are the axios errors of the failed call, so routes can keep answering with
+ * error.response?.status and error.response?.data.
+ */
+
+const axios = require('axios'); // HTTP client
+const { config } = require('./config'); // GOTO_API_URL, GOTO_IDENTITY_URL, GOTO_API_MAX_RETRIES
+
+const BASE_DELAY_MS = 500; // First retry delay, doubled on every further retry
+const MAX_DELAY_MS = 30 * 1000; // Never wait longer than this between retries
+const DEFAULT_MAX_PAGES = 100; // Safety limit for getAllPages()
+
+// Responses worth retrying: rate limited or a temporary server problem
+function isRetryable(error) {
+  if (!error.response) return !!error.code && error.code !== 'ERR_CANCELED'; // Network error or timeout
+  const status = error.response.status;
+  return status === 429 || status >= 500;
+}
+
+// Delay before the next retry: Retry-After (seconds or HTTP date) if the API sent one, else exponential backoff
+function retryDelay(error, attempt) {
+  const retryAfter = error.response?.headers?.['retry-after'];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (ms >= 0) return Math.min(ms, MAX_DELAY_MS);
+  }
+  const jitter = Math.floor(Math.random() * BASE_DELAY_MS);
+  return Math.min(BASE_DELAY_MS * 2 ** attempt + jitter, MAX_DELAY_MS);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class GoToClient {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.tokens] - Token manager of the organization (refreshed on 401)
+   * @param {string} [options.accessToken] - Explicit access token (e.g. a script's own token); used instead of tokens
+   * @param {string} [options.baseUrl] - GoTo API base URL (default GOTO_API_URL)
+   * @param {string} [options.identityUrl] - SCIM identity base URL (default GOTO_IDENTITY_URL)
+   * @param {number} [options.maxRetries] - Retries on 429/5xx (default GOTO_API_MAX_RETRIES)
+   */
+  constructor(options = {}) {
+    this.tokens = options.tokens || null;
+    this.accessToken = options.accessToken || null;
+    this.baseUrl = (options.baseUrl || config.GOTO_API_URL).replace(/\/$/, '');
+    this.identityUrl = (options.identityUrl || config.GOTO_IDENTITY_URL).replace(/\/$/, '');
+    this.maxRetries = options.maxRetries ?? config.GOTO_API_MAX_RETRIES;
+    this.http = axios.create({ timeout: 30 * 1000 });
+  }
+
+  // Access token for the next call (explicit token first, else the managed one)
+  async getAccessToken() {
+    if (this.accessToken) return this.accessToken;
+    return this.tokens ? this.tokens.getValidAccessToken() : null;
+  }
+
+  /**
+   * Make one API call
+   * @param {Object} options
+   * @param {string} options.path - Path below the base URL, e.g. '/voicemail/v1/voicemailboxes'
+   * @param {string} [options.method] - HTTP method (default GET)
+   * @param {Object} [options.params] - Query parameters
+   * @param {Object} [options.data] - Request body
+   * @param {string} [options.baseUrl] - Use another base URL for this call (e.g. the identity API)
+   * @returns {Promise<Object>} - The axios response
+   */
+  async request(options) {
+    const method = (options.method || 'GET').toUpperCase();
+    const url = (options.baseUrl || this.baseUrl) + options.path;
+    let refreshed = false;
+    for (let attempt = 0; ; attempt++) {
+      const token = await this.getAccessToken();
+      try {
+        return await this.http.request({
+          method,
+          url,
+          params: options.params,
+          data: options.data,
+          headers: token ? { Authorization: `Bearer ${token}` } : {}
+        });
+      } catch (error) {
+        // Expired or revoked managed token: refresh once and try again
+        if (error.response?.status === 401 && !refreshed && !this.accessToken && this.tokens) {
+          refreshed = true;
+          console.log('GoTo API returned 401, refreshing token and retrying:', url);
+          try {
+            await this.tokens.refresh();
+          } catch (refreshError) {
+            throw error; // Surface the original 401
+          }
+          continue;
+        }
+        // Only retry reads: a repeated POST could do the same thing twice
+        if (method !== 'GET' || attempt >= this.maxRetries || !isRetryable(error)) throw error;
+        const delay = retryDelay(error, attempt);
+        console.warn(`GoTo API ${error.response?.status || error.code} for ${url}, retrying in ${delay} ms (${attempt + 1}/${this.maxRetries})`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // GET a path and return the response body
+  async get(path, params, options = {}) {
+    const response = await this.request({ ...options, path, params });
+    return response.data;
+  }
+
+  /**
+   * Follow the pagination of a list endpoint and return all items
+   * @param {string} path - List endpoint
+   * @param {Object} [params] - Query parameters of the first page
+   * @param {Object} [options]
+   * @param {string} [options.style] - 'pageMarker' (default) or 'page'
+   * @param {string} [options.itemsKey] - Property holding the items (default 'items')
+   * @param {number} [options.pageSize] - Page size to request (default 100)
+   * @param {number} [options.maxPages] - Stop after this many pages (default 100)
+   * @returns {Promise<Object[]>}
+   */
+  async getAllPages(path, params = {}, options = {}) {
+    const style = options.style || 'pageMarker';
+    const itemsKey = options.itemsKey || 'items';
+    const pageSize = options.pageSize || 100;
+    const maxPages = options.maxPages || DEFAULT_MAX_PAGES;
+    const all = [];
+    let pageMarker = null;
+    for (let page = 1; page <= maxPages; page++) {
+      const pageParams = style === 'page'
+        ? { ...params, page, pageSize }
+        : { ...params, pageSize, ...(pageMarker ? { pageMarker } : {}) };
+      const data = await this.get(path, pageParams, options);
+      const items = data[itemsKey] || [];
+      all.push(...items);
+      if (style === 'page') {
+        if (!data[itemsKey] || items.length < pageSize) break;
+      } else {
+        if (!data.nextPageMarker || data.nextPageMarker === pageMarker) break;
+        pageMarker = data.nextPageMarker;
+      }
+      if (page === maxPages) console.warn(`Stopped paging ${path} after ${maxPages} pages`);
+    }
+    return all;
+  }
+
+  // Call Reports: user activity report (one page, as requested by the caller)
+  getUserActivityReport(params) {
+    return this.get('/call-reports/v1/reports/user-activity', params);
+  }
+
+  // Call Reports: one page of the phone number activity report
+  getPhoneNumberActivity(params) {
+    return this.get('/call-reports/v1/reports/phone-number-activity', params);
+  }
+
+  // Call Reports: every item of the phone number activity report
+  getAllPhoneNumberActivity(params) {
+    return this.getAllPages('/call-reports/v1/reports/phone-number-activity', params, { style: 'page' });
+  }
+
+  // Voicemail: one page of voicemail boxes
+  listVoicemailboxes(params) {
+    return this.get('/voicemail/v1/voicemailboxes', params);
+  }
+
+  // Voicemail: every voicemail box of an organization
+  getAllVoicemailboxes(params) {
+    return this.getAllPages('/voicemail/v1/voicemailboxes', params);
+  }
+
+  // Voicemail: one page of messages in a voicemail box
+  listVoicemails(voicemailboxId, params) {
+    return this.get(`/voicemail/v1/voicemailboxes/${encodeURIComponent(voicemailboxId)}/voicemails`, params);
+  }
+
+  // Voice Admin: every phone number of an account
+  getAllPhoneNumbers(accountKey) {
+    return this.getAllPages('/voice-admin/v1/phone-numbers', { accountKey });
+  }
+
+  // Voice Admin: phone number lookup (e.g. { accountkey })
+  getPhoneNumber(params) {
+    return this.get('/voice-admin/v1/phone-number', params);
+  }
+
+  // Voice Admin: accounts of an organization
+  async listOrganizationAccounts(organizationId) {
+    const data = await this.get(`/voice-admin/v1/organizations/${encodeURIComponent(organizationId)}/accounts`);
+    return data.accounts || [];
+  }
+
+  // Voice Admin: every phone number of an account (by account ID)
+  getAllAccountPhoneNumbers(accountId) {
+    return this.getAllPages(`/voice-admin/v1/accounts/${encodeURIComponent(accountId)}/phone-numbers`, {}, { itemsKey: 'phoneNumbers' });
+  }
+
+  // Identity: SCIM profile of the authenticated user (includes the accounts it can access)
+  getScimMe() {
+    return this.get('/identity/v1/Users/me', undefined, { baseUrl: this.identityUrl });
+  }
+
+  // Admin: the authenticated user (options.baseUrl to try another host)
+  getAdminMe(options = {}) {
+    return this.get('/admin/v1/me', undefined, options);
+  }
+}
+
+module.exports = { GoToClient };
@@ -0,0 +1,213 @@
+/*
+httpNotifyRouter.js
+Purpose: Routes for the GoTo Connect HTTP Notify node integration.
+- POST /notify: logs the call, looks up State and Extension by area code (areaCodeIndex.js) and stores it in calls.db
+  (secret/HMAC, address and PBX_ID checks per webhookAuth.js). NODE, STAGE and OUTCOME (body, or ?node=, ?stage=,
+  ?outcome= on the node's URL) tell which dial plan node sent it; events are grouped by CALL_ID (callSessions.js)
+- GET /calls: stored calls for the dashboard (calls-dashboard.html), newest first and paginated, with date, state,
+  extension, caller, dialed number and PBX_ID filters and ?fields= (recordQuery.js); FIELDS and EXTRA_FIELDS hold the
+  other dial plan variables (payloadFields.js)
+- GET /calls/:callId: the call's session and timeline (every node it passed through, first seen, outcome)
+- GET /call-sessions: latest call sessions (?open=true for calls without an outcome, ?limit=)
+- GET/PUT /api/payload-fields: which extra variables /notify captures, under which name and type (changes require admin)
+- GET /api/area-code-index: size, last reload and lookup timings of the area code index
+- GET /api/webhook-audit: rejected webhook requests (admin)
+- GET /api/retention, POST /api/retention/run: archive and purge of old calls, rollup refresh (callRetention.js;
+  running requires admin). GET /api/rollups: hourly or daily call counts per state, extension or dialed number
+Mounted at /http-notify by server.js, and at the root by HTTPNotify.js.
+
+Main Functions:
+- createHttpNotifyRouter(options): Returns an Express router; options.io is the Socket.IO server used for new_call updates.
+*/
+
+const express = require('express'); // Import Express framework
+const sqlite3 = require('sqlite3').verbose(); // Import SQLite3 for database
+const areaCodeIndex = require('./areaCodeIndex'); // In-memory area code lookups
+const { parseCallerId } = require('./callerId'); // Caller ID normalization (E.164, area code, ...)
+const { createCallSessions } = require('./callSessions'); // Group the events of a call by CALL_ID
+const payloadFields = require('./payloadFields'); // Declared and unknown dial plan variables
+const { createRecordQuery } = require('./recordQuery'); // Paginated, filtered GET /calls
+const { createRetention } = require('./callRetention'); // Rollups, archive and purge of old calls
+const { requireRole } = require('./localAuth'); // Admin-only audit log
+const { createWebhookGuard, keepRawBody, redactHeaders } = require('./webhookAuth'); // Verify the dial-plan webhook
+
+// Paths that GoTo Connect calls without a login (relative to the mount point)
+const WEBHOOK_PATHS = ['/notify'];
+
+/**
+ * Create the router
+ * @param {Object} options
+ * @param {Object} options.io - Socket.IO server for live dashboard updates
+ * @returns {Object} - Express router
+ */
+function createHttpNotifyRouter(options) {
+    const { io } = options;
+    const router = express.Router();
+    router.use(express.json({ verify: keepRawBody })); // Parse JSON bodies (raw body kept for HMAC signatures)
+    router.use(express.urlencoded({ extended: true, verify: keepRawBody })); // Parse URL-encoded bodies
+
+    areaCodeIndex.watch(); // Load statescodes.db and reload it when it changes
+
+    // Initialize SQLite DB and create calls table if not exists
+    const db = new sqlite3.Database('./calls.db');
+    db.run(`CREATE TABLE IF NOT EXISTS calls (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        PBX_ID TEXT,
+        CALL_ID TEXT,
+        DIALED_NUMBER TEXT,
+        CALLER_ID_NUMBER TEXT,
+        CALLER_ID_NAME TEXT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        CALLER_AREA_CODE TEXT,
+        State TEXT,
+        Extension TEXT
+    )`);
+    // Columns added after the first release: normalized caller ID, dial plan node of the event,
+    // the other dial plan variables as JSON
+    const addedColumns = ['CALLER_E164', 'CALLER_TYPE', 'NODE', 'STAGE', 'OUTCOME', 'FIELDS', 'EXTRA_FIELDS'];
+    db.all('PRAGMA table_info(calls)', (err, columns) => {
+        if (err) return;
+        db.serialize(() => {
+            addedColumns
+                .filter(name => !columns.some(column => column.name === name))
+                .forEach(name => db.run(`ALTER TABLE calls ADD COLUMN ${name} TEXT`));
+            callsQuery.ensureIndexes(); // Pages and filters of GET /calls
+        });
+    });
+    db.run('CREATE INDEX IF NOT EXISTS idx_calls_call_id ON calls (CALL_ID)'); // Timelines of /calls/:callId
+    const callsQuery = createRecordQuery(db, 'calls');
+
+    const sessions = createCallSessions(db); // One session per CALL_ID (table call_sessions)
+    const retention = createRetention(db, 'calls'); // Hourly/daily rollups, then archive and delete expired calls and sessions
+    retention.schedule(); // Only when CALL_RETENTION_ENABLED is set
+
+    const webhookGuard = createWebhookGuard(db, 'httpNotify'); // Rejections are recorded in calls.db (webhook_audit)
+
+    // POST /notify endpoint for GoTo Connect HTTP Notify node
+    router.post('/notify', webhookGuard.verify('/notify'), (req, res) => {
+        // Extract call data from POST body (renamed and extra variables per payload-fields.json)
+        const payload = payloadFields.mapPayload('httpNotify', req.body);
+        const { PBX_ID, CALL_ID, DIALED_NUMBER, CALLER_ID_NUMBER, CALLER_ID_NAME } = payload.values;
+        if (payload.warnings.length) console.warn('Payload fields:', payload.warnings.join('; ')); // Log values that do not fit their type
+        // Dial plan node that sent the event (body field, or a query parameter on the node's URL)
+        const NODE = payload.values.NODE || payload.values.NODE_NAME || req.query.node || null;
+        const STAGE = payload.values.STAGE || req.query.stage || null;
+        const OUTCOME = payload.values.OUTCOME || req.query.outcome || null;
+        const caller = parseCallerId(CALLER_ID_NUMBER); // E.164, area code, anonymous, ...
+        const CALLER_AREA_CODE = caller.areaCode || ''; // NANP area code used for the lookup
+        // Lookup State and Extension by area code
+        areaCodeIndex.lookup(CALLER_AREA_CODE).catch(err => {
+            console.error('Area code lookup failed, storing the call without State/Extension:', err.message); // Log error
+            return null;
+        }).then(result => {
+            // Build call object with all fields
+            const debugBody = {
+                PBX_ID,
+                CALL_ID,
+                DIALED_NUMBER,
+                CALLER_ID_NUMBER,
+                CALLER_ID_NAME,
+                CALLER_AREA_CODE,
+                CALLER_E164: caller.e164,
+                CALLER_TYPE: caller.type,
+                State: result ? result.state : null,
+                Extension: result ? result.extension : null,
+                NODE,
+                STAGE,
+                OUTCOME,
+                FIELDS: payload.fields,
+                EXTRA_FIELDS: payload.extra
+            };
+            console.log('--- Incoming HTTP Notify POST ---'); // Log POST
+            console.log('Headers:', redactHeaders(req.headers)); // Log headers (secret, signature, cookie and API key hidden)
+            console.log('Body:', debugBody); // Log body
+            if (caller.reason) console.log('Caller ID:', caller.type, caller.reason); // Log why there is no area code
+            // Store call in database
+            db.run(
+                `INSERT INTO calls (PBX_ID, CALL_ID, DIALED_NUMBER, CALLER_ID_NUMBER, CALLER_ID_NAME, CALLER_AREA_CODE, CALLER_E164, CALLER_TYPE, State, Extension, NODE, STAGE, OUTCOME, FIELDS, EXTRA_FIELDS) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [PBX_ID, CALL_ID, DIALED_NUMBER, CALLER_ID_NUMBER, CALLER_ID_NAME, CALLER_AREA_CODE, caller.e164, caller.type, debugBody.State, debugBody.Extension, NODE, STAGE, OUTCOME, JSON.stringify(payload.fields), JSON.stringify(payload.extra)],
+                err => { if (err) console.error('Could not store the HTTP Notify call:', err.message); } // Log error
+            );
+            // Update the call's session (first seen, last node, outcome)
+            sessions.record(debugBody).then(session => {
+                if (session) io.emit('call_session', session);
+            }).catch(err => console.error('Could not update the call session:', err.message)); // Log error
+            // Emit call to frontend via WebSocket
+            io.emit('new_call', debugBody);
+            res.status(200).send('Received'); // Respond to POST
+        }).catch(err => {
+            console.error('HTTP Notify handler failed:', err); // Log error
+            if (!res.headersSent) res.status(500).send(''); // Never leave the dial plan's request hanging
+        });
+    });
+
+    // REST API endpoint to fetch calls (?limit=, ?cursor=, ?from=, ?to=, ?state=, ?extension=, ?caller=, ?dialed=, ?pbx=, ?fields=)
+    router.get('/calls', (req, res) => {
+        callsQuery.run(req.query).then(page => {
+            callsQuery.setPageHeaders(req, res, page); // X-Next-Cursor / Link when there are older calls
+            res.json(page.rows.map(payloadFields.parseJsonColumns)); // FIELDS / EXTRA_FIELDS as objects
+        }).catch(err => res.status(err.status || 500).json({ error: err.message, errors: err.errors })); // Bad parameters or DB error
+    });
+
+    // Extra dial plan variables captured by /notify: [{ source, name, type }]
+    router.get('/api/payload-fields', (req, res) => {
+        res.json({ builtIn: payloadFields.BUILT_IN.httpNotify, types: payloadFields.TYPES, fields: payloadFields.getFields('httpNotify') });
+    });
+
+    router.put('/api/payload-fields', requireRole('admin'), (req, res) => {
+        try {
+            const body = req.body || {};
+            res.json({ fields: payloadFields.saveFields('httpNotify', Array.isArray(body) ? body : body.fields) });
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message, errors: err.errors });
+        }
+    });
+
+    // Latest call sessions (?open=true for calls still in progress, ?limit=)
+    router.get('/call-sessions', (req, res) => {
+        sessions.list({ open: req.query.open === 'true', limit: req.query.limit })
+            .then(rows => res.json(rows)).catch(err => res.status(500).json({ error: err.message }));
+    });
+
+    // Timeline of one call: session summary and every event in order
+    router.get('/calls/:callId', (req, res) => {
+        sessions.get(req.params.callId).then(call => {
+            if (!call) return res.status(404).json({ error: 'Call not found' });
+            res.json({ ...call, timeline: call.timeline.map(payloadFields.parseJsonColumns) });
+        }).catch(err => res.status(500).json({ error: err.message }));
+    });
+
+    // Area code index: size, last reload and lookup timings
+    router.get('/api/area-code-index', (req, res) => {
+        res.json(areaCodeIndex.getStats());
+    });
+
+    // Rejected webhook requests (?limit=, default 100)
+    router.get('/api/webhook-audit', requireRole('admin'), (req, res) => {
+        webhookGuard.listRejections({ limit: req.query.limit }).then(rows => res.json(rows)).catch(err => res.status(500).json({ error: err.message }));
+    });
+
+    // Retention settings and latest runs; POST .../run rolls up, archives and purges now (?days= overrides the setting)
+    const sendError = (res, err) => res.status(err.status || 500).json({ error: err.message, errors: err.errors });
+    router.get('/api/retention', (req, res) => {
+        retention.getStatus().then(status => res.json(status)).catch(err => sendError(res, err));
+    });
+
+    router.post('/api/retention/run', requireRole('admin'), (req, res) => {
+        retention.run({ days: req.query.days }).then(result => res.json(result)).catch(err => sendError(res, err));
+    });
+
+    // Long-term trends (?period=hourly|daily, ?dimension=total|state|extension|dialed, ?value=, ?from=, ?to=)
+    router.get('/api/rollups', (req, res) => {
+        retention.listRollups(req.query).then(rows => res.json(rows)).catch(err => sendError(res, err));
+    });
+
+    // Health check endpoint
+    router.get('/', (req, res) => {
+        res.send('GoTo Connect HTTP Notify listener is running.'); // Health check response
+    });
+
+    return router;
+}
+
+module.exports = { WEBHOOK_PATHS, createHttpNotifyRouter };
@@ -0,0 +1,257 @@
+/**
+ * localAuth.js
+ *
+ * Local login layer for the GoTo servers in this project.
+ * Every route except the login page, the OAuth callback and explicitly public paths requires either
+ * a session cookie (from POST /login) or an API key (X-API-Key header). Users and keys have a role:
+ * - viewer: may read dashboards and reports
+ * - admin: may also read/overwrite tokens, change settings and use the debug endpoints
+ *
+ * Configuration (.env or the config file, see config.js):
+ * - LOCAL_USERS: comma-separated username:role:password entries. The password may be a hash
+ *   produced by `node localAuth.js hash <password>` (recommended) instead of plain text.
+ * - API_KEYS: comma-separated key:role entries for scripts and integrations
+ * - SESSION_TTL_HOURS: session lifetime (default 12)
+ * - CORS_ORIGINS: comma-separated origins allowed to call the API from other sites (default: none)
+ * - AUTH_DISABLED=true: turn the login layer off (local development only)
+ *
+ * Main Functions:
+ * - installLocalAuth(app, options): Adds /login, /logout, /api/me and the authentication middleware.
+ * - requireRole(role): Express middleware that requires at least the given role.
+ * - authenticateSocket(socket, next): Socket.IO middleware that requires a logged-in session.
+ * - cors(): Express middleware that only allows the origins in CORS_ORIGINS.
+ */
+
+const { config } = require('./config'); // LOCAL_USERS, API_KEYS and the other settings below
+const crypto = require('crypto'); // Session IDs and password hashing
+const path = require('path'); // Login page path
+const express = require('express'); // Body parsers for the login form
+
+const SESSION_COOKIE = 'goto_session';
+const ROLES = ['viewer', 'admin']; // Ordered from least to most privileged
+
+// In-memory session store: sessionId -> { username, role, expiresAt }
+const sessions = new Map();
+
+// Parse LOCAL_USERS=username:role:password,... (the password may itself contain ':')
+function loadUsers() {
+  const users = new Map();
+  for (const entry of config.LOCAL_USERS.split(',')) {
+    const [username, role, ...rest] = entry.trim().split(':');
+    if (!username || !ROLES.includes(role) || rest.length === 0) continue;
+    users.set(username, { role, password: rest.join(':') });
+  }
+  return users;
+}
+
+// Parse API_KEYS=key:role,...
+function loadApiKeys() {
+  const keys = [];
+  for (const entry of config.API_KEYS.split(',')) {
+    const [key, role] = entry.trim().split(':');
+    if (key && ROLES.includes(role)) keys.push({ key, role });
+  }
+  return keys;
+}
+
+// Constant-time string comparison
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Hash a password as scrypt$<salt>$<hash>
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 32).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+// Check a password against a stored hash or plain-text value
+function verifyPassword(password, stored) {
+  if (stored.startsWith('scrypt$')) {
+    const [, salt, hash] = stored.split('$');
+    return safeEqual(crypto.scryptSync(password, salt, 32).toString('hex'), hash);
+  }
+  return safeEqual(password, stored);
+}
+
+// Read one cookie from the Cookie header
+function getCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+// Resolve the user for a request from its session cookie or API key (null if anonymous)
+function identify(req) {
+  if (config.AUTH_DISABLED) return { username: 'local', role: 'admin', via: 'disabled' };
+  const sessionId = getCookie(req, SESSION_COOKIE);
+  if (sessionId && sessions.has(sessionId)) {
+    const session = sessions.get(sessionId);
+    if (session.expiresAt > Date.now()) return { username: session.username, role: session.role, via: 'session' };
+    sessions.delete(sessionId);
+  }
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) {
+    const match = loadApiKeys().find(k => safeEqual(k.key, apiKey));
+    if (match) return { username: 'api-key', role: match.role, via: 'api-key' };
+  }
+  return null;
+}
+
+// Whether a role includes the permissions of another role
+function hasRole(userRole, required) {
+  return ROLES.indexOf(userRole) >= ROLES.indexOf(required);
+}
+
+/**
+ * Middleware factory: require at least the given role
+ * @param {string} role - 'viewer' or 'admin'
+ * @returns {Function} - Express middleware
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    const user = req.user || identify(req);
+    if (!user) return denyAnonymous(req, res);
+    if (!hasRole(user.role, role)) {
+      return res.status(403).json({ error: `This endpoint requires the ${role} role.` });
+    }
+    req.user = user;
+    next();
+  };
+}
+
+// Whether the client explicitly asked for an HTML page (browser navigation, not fetch() or curl)
+function wantsHtml(req) {
+  return (req.get('Accept') || '').includes('text/html');
+}
+
+// Anonymous requests: browsers asking for a page go to the login form, everything else gets 401
+function denyAnonymous(req, res) {
+  if (req.method === 'GET' && wantsHtml(req)) {
+    return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+  return res.status(401).json({ error: 'Authentication required. Log in at /login or send an X-API-Key header.' });
+}
+
+// Only allow redirects to local paths after login
+function safeNext(next) {
+  return typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') ? next : '/';
+}
+
+/**
+ * Install the login routes and the authentication middleware.
+ * Must be called before the static files and the app's own routes are registered.
+ * @param {Object} app - Express app
+ * @param {Object} [options]
+ * @param {string[]} [options.publicPaths] - Extra paths (exact match) reachable without logging in
+ */
+function installLocalAuth(app, options = {}) {
+  const ttlHours = config.SESSION_TTL_HOURS;
+  const publicPaths = new Set([
+    '/login', '/logout', '/login.html', '/image.png', '/style.css',
+    '/login/oauth2/code/goto', // OAuth redirect from GoTo, protected by the state parameter
+    ...(options.publicPaths || [])
+  ]);
+
+  if (config.AUTH_DISABLED) {
+    console.warn('WARNING: AUTH_DISABLED=true - every route is reachable without logging in.');
+  } else if (loadUsers().size === 0 && loadApiKeys().length === 0) {
+    console.warn('No LOCAL_USERS or API_KEYS configured - nobody can log in. See localAuth.js for the format.');
+  }
+
+  // Login form
+  app.get('/login', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'login.html'));
+  });
+
+  // Log in with username/password (form or JSON body) and receive a session cookie
+  app.post('/login', express.urlencoded({ extended: false }), express.json(), (req, res) => {
+    const { username, password, next } = req.body || {};
+    const user = loadUsers().get(username);
+    if (!user || !password || !verifyPassword(password, user.password)) {
+      console.warn('Failed login attempt for user:', username);
+      if (req.is('json')) return res.status(401).json({ error: 'Invalid username or password.' });
+      return res.redirect(`/login?error=1&next=${encodeURIComponent(safeNext(next))}`);
+    }
+    const sessionId = crypto.randomBytes(32).toString('hex');
+    const maxAge = ttlHours * 60 * 60 * 1000;
+    sessions.set(sessionId, { username, role: user.role, expiresAt: Date.now() + maxAge });
+    res.cookie(SESSION_COOKIE, sessionId, { httpOnly: true, sameSite: 'lax', secure: req.secure, maxAge });
+    console.log(`User ${username} logged in (${user.role})`);
+    if (req.is('json')) return res.json({ username, role: user.role });
+    res.redirect(safeNext(next));
+  });
+
+  // End the session
+  app.post('/logout', (req, res) => {
+    const sessionId = getCookie(req, SESSION_COOKIE);
+    if (sessionId) sessions.delete(sessionId);
+    res.clearCookie(SESSION_COOKIE);
+    if (wantsHtml(req)) return res.redirect('/login');
+    res.json({ loggedOut: true });
+  });
+
+  // Everything else requires at least the viewer role
+  app.use((req, res, next) => {
+    if (req.method === 'OPTIONS' || publicPaths.has(req.path)) return next();
+    const user = identify(req);
+    if (!user) return denyAnonymous(req, res);
+    req.user = user;
+    next();
+  });
+
+  // Who am I (used by the dashboards to show/hide admin features)
+  app.get('/api/me', (req, res) => {
+    res.json({ username: req.user.username, role: req.user.role });
+  });
+
+  // Drop expired sessions every 10 minutes
+  setInterval(() => {
+    const now = Date.now();
+    for (const [id, session] of sessions.entries()) {
+      if (session.expiresAt <= now) sessions.delete(id);
+    }
+  }, 10 * 60 * 1000).unref();
+}
+
+// Socket.IO middleware: only logged-in users (or API keys) may open a live connection
+function authenticateSocket(socket, next) {
+  const user = identify(socket.request);
+  if (!user) return next(new Error('Authentication required'));
+  socket.user = user;
+  next();
+}
+
+// CORS middleware limited to CORS_ORIGINS (no cross-origin access when unset)
+function cors() {
+  const allowed = config.CORS_ORIGINS;
+  return (req, res, next) => {
+    const origin = req.headers.origin;
+    if (origin && allowed.includes(origin)) {
+      res.header('Access-Control-Allow-Origin', origin);
+      res.header('Vary', 'Origin');
+      res.header('Access-Control-Allow-Credentials', 'true');
+      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key');
+    }
+    if (req.method === 'OPTIONS') return res.sendStatus(origin && allowed.includes(origin) ? 200 : 403);
+    next();
+  };
+}
+
+module.exports = { installLocalAuth, requireRole, authenticateSocket, cors, hashPassword };
+
+// Command line: node localAuth.js hash <password>
+if (require.main === module) {
+  if (process.argv[2] === 'hash' && process.argv[3]) {
+    console.log(hashPassword(process.argv[3]));
+  } else {
+    console.log('Usage: node localAuth.js hash <password>');
+  }
+}
@@ -0,0 +1,248 @@
+/**
+ * mockGoTo.js
+ *
+ * Local mock of the GoTo APIs and the GoTo OAuth server, loaded with the fixture data in mock-fixtures.json,
+ * so the servers and dashboards can be used offline and without live credentials.
+ * Tokens issued by the mock are unsigned JWTs that the mock accepts until they expire, so restarting it
+ * does not invalidate the tokens stored in the vault.
+ *
+ * Usage:
+ *   node mockGoTo.js                    Start the mock on GOTO_MOCK_PORT (default 5050)
+ *   GOTO_MOCK=true node napphovol.js    Point gotoClient.js and gotoAuth.js at the mock (see config.js)
+ *
+ * Main Functions:
+ * - createMockApp(options): Returns an Express app emulating the endpoints below.
+ * - startMockServer(options): Starts that app and returns the HTTP server.
+ *
+ * Endpoints:
+ * - GET  /oauth/authorize                                     Approves immediately and redirects with a code
+ * - POST /oauth/token                                         authorization_code (with PKCE), refresh_token, client_credentials
+ * - GET  /call-reports/v1/reports/user-activity               page/pageSize, q filters userName
+ * - GET  /call-reports/v1/reports/phone-number-activity       page/pageSize
+ * - GET  /voicemail/v1/voicemailboxes                         pageMarker/pageSize, extensionNumber filter
+ * - GET  /voicemail/v1/voicemailboxes/:id/voicemails          page/pageSize
+ * - GET  /voice-admin/v1/phone-numbers                        pageMarker/pageSize (?accountKey=)
+ * - GET  /voice-admin/v1/phone-number                         Numbers of ?accountkey=
+ * - GET  /voice-admin/v1/organizations/:id/accounts           Accounts of the organization
+ * - GET  /voice-admin/v1/accounts/:id/phone-numbers           pageMarker/pageSize
+ * - GET  /identity/v1/Users/me                                SCIM profile with the accounts
+ * - GET  /admin/v1/me                                         The mock user
+ */
+
+const express = require('express'); // Mock HTTP server
+const crypto = require('crypto'); // Codes and PKCE checks
+const fs = require('fs'); // Fixture file
+const path = require('path'); // Fixture path
+const { config } = require('./config'); // GOTO_MOCK_PORT, GOTO_MOCK_FIXTURES
+
+const TOKEN_TTL_SECONDS = 3600;
+const CODE_TTL_MS = 5 * 60 * 1000;
+const SCIM_EXTENSION = 'urn:scim:schemas:extension:getgo:1.0';
+
+// Encode an unsigned JWT so the servers can read sub/exp like they do with real GoTo tokens
+function issueToken(type, claims) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { iss: 'goto-mock', typ: type, iat: now, jti: crypto.randomBytes(8).toString('hex'), ...claims };
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode(payload)}.mock`;
+}
+
+// Payload of a token issued by the mock (null if it is not one, has the wrong type or expired)
+function readToken(token, type) {
+  try {
+    const payload = JSON.parse(Buffer.from((token || '').split('.')[1] || '', 'base64url').toString('utf8'));
+    if (payload.iss !== 'goto-mock' || payload.typ !== type) return null;
+    if (payload.exp && payload.exp * 1000 < Date.now()) return null;
+    return payload;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Slice a list with page/pageSize (1-based pages, like the Call Reports API)
+function pageByNumber(items, query) {
+  const pageSize = Math.max(parseInt(query.pageSize, 10) || 100, 1);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  return { items: items.slice((page - 1) * pageSize, page * pageSize), page, pageSize, totalCount: items.length };
+}
+
+// Slice a list with pageMarker/pageSize (the marker is the offset of the next page)
+function pageByMarker(items, query, itemsKey = 'items') {
+  const pageSize = Math.max(parseInt(query.pageSize, 10) || 100, 1);
+  const offset = parseInt(query.pageMarker, 10) || 0;
+  const result = { [itemsKey]: items.slice(offset, offset + pageSize) };
+  if (offset + pageSize < items.length) result.nextPageMarker = String(offset + pageSize);
+  return result;
+}
+
+/**
+ * Create the mock app
+ * @param {Object} [options]
+ * @param {Object} [options.fixtures] - Fixture data (default: the file in GOTO_MOCK_FIXTURES)
+ * @returns {Object} - Express app
+ */
+function createMockApp(options = {}) {
+  const fixtures = options.fixtures || JSON.parse(fs.readFileSync(path.resolve(config.GOTO_MOCK_FIXTURES), 'utf8'));
+  const org = fixtures.organization;
+  const codes = new Map(); // code -> { redirectUri, codeChallenge, scope, expiresAt }
+  const app = express();
+
+  // Issue an access token (and a refresh token for user grants)
+  function tokenResponse(scope, withRefresh) {
+    const exp = Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS;
+    const response = {
+      access_token: issueToken('access', { sub: fixtures.user.id, scope, exp }),
+      token_type: 'Bearer',
+      expires_in: TOKEN_TTL_SECONDS,
+      scope,
+      principal: fixtures.user.userName
+    };
+    if (withRefresh) response.refresh_token = issueToken('refresh', { sub: fixtures.user.id, scope });
+    return response;
+  }
+
+  // OAuth: approve straight away and send the browser back with a code
+  app.get('/oauth/authorize', (req, res) => {
+    const { redirect_uri: redirectUri, state, scope, code_challenge: codeChallenge } = req.query;
+    if (!redirectUri) return res.status(400).send('Missing redirect_uri');
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { redirectUri, codeChallenge, scope: scope || '', expiresAt: Date.now() + CODE_TTL_MS });
+    const target = new URL(redirectUri);
+    target.searchParams.set('code', code);
+    if (state) target.searchParams.set('state', state);
+    console.log(`[mock] Authorized ${scope || '(no scope)'}, redirecting to ${target.origin}${target.pathname}`);
+    res.redirect(target.toString());
+  });
+
+  // OAuth: token endpoint for the three grants the project uses
+  app.post('/oauth/token', express.urlencoded({ extended: false }), express.json(), (req, res) => {
+    const body = req.body || {};
+    if (body.grant_type === 'authorization_code') {
+      const pending = codes.get(body.code);
+      codes.delete(body.code); // Codes are single-use
+      if (!pending || pending.expiresAt < Date.now()) return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown or expired code' });
+      if (body.redirect_uri && body.redirect_uri !== pending.redirectUri) return res.status(400).json({ error: 'invalid_grant', error_description: 'redirect_uri mismatch' });
+      if (pending.codeChallenge) {
+        const challenge = crypto.createHash('sha256').update(body.code_verifier || '').digest('base64url');
+        if (challenge !== pending.codeChallenge) return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+      }
+      return res.json(tokenResponse(pending.scope, true));
+    }
+    if (body.grant_type === 'refresh_token') {
+      const refresh = readToken(body.refresh_token, 'refresh');
+      if (!refresh) return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown refresh token' });
+      return res.json(tokenResponse(body.scope || refresh.scope, true));
+    }
+    if (body.grant_type === 'client_credentials') {
+      return res.json(tokenResponse(body.scope || '', false));
+    }
+    res.status(400).json({ error: 'unsupported_grant_type' });
+  });
+
+  // Every API route needs a bearer token issued by the mock
+  app.use((req, res, next) => {
+    const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    if (!readToken(token, 'access')) return res.status(401).json({ errorCode: 'AUTHN_INVALID_TOKEN', message: 'Invalid or expired access token' });
+    next();
+  });
+
+  // Call Reports
+  app.get('/call-reports/v1/reports/user-activity', (req, res) => {
+    const q = String(req.query.q || '').toLowerCase();
+    const items = fixtures.userActivity.filter(item => !q || item.userName.toLowerCase().includes(q));
+    res.json(pageByNumber(items, req.query));
+  });
+
+  app.get('/call-reports/v1/reports/phone-number-activity', (req, res) => {
+    res.json(pageByNumber(fixtures.phoneNumberActivity, req.query));
+  });
+
+  // Voicemail
+  const voicemailboxes = fixtures.voicemailboxes.map(box => ({ ...box, id: box.voicemailboxId, organizationId: org.id, accountKey: org.accountKey }));
+
+  app.get('/voicemail/v1/voicemailboxes', (req, res) => {
+    const boxes = voicemailboxes.filter(box => !req.query.extensionNumber || box.extensionNumber === req.query.extensionNumber);
+    res.json(pageByMarker(boxes, req.query));
+  });
+
+  app.get('/voicemail/v1/voicemailboxes/:id/voicemails', (req, res) => {
+    const box = voicemailboxes.find(b => b.voicemailboxId === req.params.id);
+    if (!box) return res.status(404).json({ errorCode: 'NOT_FOUND', message: 'Voicemailbox not found' });
+    const messages = (fixtures.voicemails[box.voicemailboxId] || []).map(message => ({
+      ...message,
+      voicemailboxId: box.voicemailboxId,
+      extensionNumber: box.extensionNumber,
+      extensionName: box.extensionName,
+      organizationId: org.id,
+      accountKey: org.accountKey
+    }));
+    res.json(pageByNumber(messages, req.query));
+  });
+
+  // Voice Admin
+  const phoneNumbers = fixtures.phoneNumbers.map(n => ({ ...n, accountKey: org.accountKey, organizationId: org.id, callerId: { name: n.callerIdName } }));
+
+  app.get('/voice-admin/v1/phone-numbers', (req, res) => {
+    if (req.query.accountKey !== org.accountKey) return res.json({ items: [] });
+    res.json(pageByMarker(phoneNumbers, req.query));
+  });
+
+  app.get('/voice-admin/v1/phone-number', (req, res) => {
+    res.json({ items: req.query.accountkey === org.accountKey ? phoneNumbers : [] });
+  });
+
+  app.get('/voice-admin/v1/organizations/:id/accounts', (req, res) => {
+    if (req.params.id !== org.id) return res.status(404).json({ errorCode: 'NOT_FOUND', message: 'Organization not found' });
+    res.json({ accounts: fixtures.accounts });
+  });
+
+  app.get('/voice-admin/v1/accounts/:id/phone-numbers', (req, res) => {
+    if (!fixtures.accounts.some(account => account.id === req.params.id)) return res.status(404).json({ errorCode: 'NOT_FOUND', message: 'Account not found' });
+    const numbers = phoneNumbers.map(n => ({ id: n.id, phoneNumber: n.number, phoneNumberName: n.name, callerId: n.callerId, status: n.status }));
+    res.json(pageByMarker(numbers, req.query, 'phoneNumbers'));
+  });
+
+  // Identity
+  app.get('/identity/v1/Users/me', (req, res) => {
+    res.json({
+      id: fixtures.user.id,
+      userName: fixtures.user.userName,
+      displayName: fixtures.user.displayName,
+      [SCIM_EXTENSION]: {
+        accounts: fixtures.accounts.map(account => ({ value: account.id, display: account.displayName, entitlements: account.entitlements }))
+      }
+    });
+  });
+
+  app.get('/admin/v1/me', (req, res) => {
+    res.json({ id: fixtures.user.id, userName: fixtures.user.userName, accountKey: org.accountKey, organizationId: org.id });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ errorCode: 'NOT_FOUND', message: `The mock does not emulate ${req.method} ${req.path}` });
+  });
+
+  return app;
+}
+
+/**
+ * Start the mock server
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port (default GOTO_MOCK_PORT)
+ * @param {Object} [options.fixtures] - Fixture data (default: the file in GOTO_MOCK_FIXTURES)
+ * @returns {Object} - http.Server
+ */
+function startMockServer(options = {}) {
+  const port = options.port ?? config.GOTO_MOCK_PORT;
+  return createMockApp(options).listen(port, () => {
+    console.log(`Mock GoTo API running on http://localhost:${port}`);
+    console.log('Start the servers with GOTO_MOCK=true to use it.');
+  });
+}
+
+module.exports = { createMockApp, startMockServer };
+
+// Command line: node mockGoTo.js
+if (require.main === module) {
+  startMockServer();
+}
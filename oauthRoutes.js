@@ -0,0 +1,109 @@
+/**
+ * oauthRoutes.js
+ *
+ * Routes shared by every server that talks to the GoTo APIs: starting the OAuth flow, the OAuth callback,
+ * the admin token endpoints and the organization endpoints the dashboards use to prepopulate their fields.
+ * They are always mounted at the root, because OAUTH_REDIRECT_URI points at /login/oauth2/code/goto.
+ *
+ * Main Functions:
+ * - registerOAuthRoutes(app, options): Adds the routes below to an Express app.
+ *
+ * Routes:
+ * - GET  /auth                      Start the OAuth flow (?org= selects the organization) [admin]
+ * - GET  /login/oauth2/code/goto    OAuth callback, stores the tokens for the organization
+ * - GET  /api/latest-access-token   Current (refreshed) access token for ?org= [admin]
+ * - POST /api/set-access-token      Store a manually obtained access token (JSON body { accessToken }) for ?org= [admin]
+ * - GET  /api/organizations         Known organizations and their token status
+ * - GET  /api/env-vars              Selected organization and its configured accountKey / extension
+ * - GET  /debug/expected-state      OAuth states still waiting for their callback [admin]
+ * - POST /debug/clear-state         Forget all pending OAuth states [admin]
+ */
+
+const { getAuthUrl, completeAuthorization, getPendingStates, clearPendingStates } = require('./gotoAuth'); // PKCE + pending-state OAuth helpers
+const express = require('express'); // JSON body of /api/set-access-token
+const { requireRole } = require('./localAuth'); // Token routes are admin-only
+const { config } = require('./config'); // ExtensionID
+
+// Text -> HTML (the organization comes from the query string)
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+/**
+ * Register the shared OAuth and token routes
+ * @param {Object} app - Express app
+ * @param {Object} options
+ * @param {Object} options.tenants - Tenant registry from tenants.js
+ * @param {string} options.scope - OAuth scope requested by /auth
+ */
+function registerOAuthRoutes(app, options) {
+  const { tenants, scope } = options;
+
+  // Start OAuth flow; gotoAuth.js remembers the state, PKCE verifier and org until the callback
+  app.get('/auth', requireRole('admin'), (req, res) => {
+    const org = req.query.org || tenants.defaultOrg;
+    const { url } = getAuthUrl(scope, { org });
+    res.send(`<a href="${escapeHtml(url)}">Authorize with GoTo${org ? ` (organization ${escapeHtml(org)})` : ''}</a>`);
+    console.log('Open this URL in your browser to authorize:', url);
+  });
+
+  // OAuth callback: validate the state, exchange the code and store the organization's tokens
+  app.get('/login/oauth2/code/goto', async (req, res) => {
+    try {
+      const { token, context } = await completeAuthorization(req.query);
+      tenants.forOrg(context.org).setTokens(token);
+      res.send(`Access token received${context.org ? ` for organization ${escapeHtml(context.org)}` : ''}.`);
+      console.log(`Access token received${context.org ? ` for organization ${context.org}` : ''}${token.expires_in ? `, expires in ${token.expires_in} seconds` : ''}`); // Never log the tokens
+    } catch (err) {
+      res.status(err.status || 500).send(escapeHtml(err.message));
+    }
+  });
+
+  // Latest access token, for debugging (refreshed first if it is about to expire); the dashboards never fetch it
+  app.get('/api/latest-access-token', requireRole('admin'), async (req, res) => {
+    const accessToken = await tenants.forOrg(tenants.resolveOrg(req)).getValidAccessToken();
+    if (accessToken) {
+      res.json({ accessToken });
+    } else {
+      res.status(404).json({ error: 'No access token available' });
+    }
+  });
+
+  // Store a manually obtained access token (for demo/testing); POST with a JSON body, so it cannot be triggered by a link
+  app.post('/api/set-access-token', requireRole('admin'), express.json(), (req, res) => {
+    const accessToken = req.body && req.body.accessToken;
+    if (!accessToken) return res.status(400).json({ error: 'Missing accessToken in the JSON body.' });
+    tenants.forOrg(tenants.resolveOrg(req)).setTokens({ access_token: String(accessToken) });
+    res.json({ success: true });
+  });
+
+  // Organizations this server can act for (org selectors in the dashboards)
+  app.get('/api/organizations', (req, res) => {
+    res.json({ defaultOrg: tenants.defaultOrg, organizations: tenants.list() });
+  });
+
+  // Selected organization and its settings for frontend prepopulation
+  // (organizationalId is the field name the older dashboards use)
+  app.get('/api/env-vars', (req, res) => {
+    const organizationId = tenants.resolveOrg(req);
+    res.json({
+      organizationId,
+      organizationalId: organizationId,
+      accountKey: tenants.getAccountKey(organizationId),
+      extensionId: config.ExtensionID
+    });
+  });
+
+  // Debug: OAuth states still waiting for a callback (useful to compare with the callback state)
+  app.get('/debug/expected-state', requireRole('admin'), (req, res) => {
+    res.json({ pendingStates: getPendingStates(), note: 'These are the in-memory states your server accepts when handling the OAuth callback' });
+  });
+
+  // Debug: clear the pending states (useful if you want to force a fresh /auth generation)
+  app.post('/debug/clear-state', requireRole('admin'), (req, res) => {
+    clearPendingStates();
+    res.json({ cleared: true, pendingStates: getPendingStates() });
+  });
+}
+
+module.exports = { registerOAuthRoutes };
@@ -0,0 +1,201 @@
+/**
+ * payloadFields.js
+ *
+ * Field mapping for the dial-plan webhooks. GoTo dial plans can send any variables, but the listeners only know
+ * PBX_ID, CALL_ID, CALLER_ID_NUMBER, CALLER_ID_NAME and DIALED_NUMBER (plus NODE/STAGE/OUTCOME for HTTP Notify).
+ * Admins declare the other fields to capture in PAYLOAD_FIELDS_FILE (payload-fields.json, edited through
+ * /api/payload-fields), one list per listener:
+ *   { "remotecc": [{ "source": "QUEUE_NAME", "name": "queue", "type": "string" }],
+ *     "httpNotify": [{ "source": "ANI", "name": "CALLER_ID_NUMBER" }, { "source": "WAIT", "name": "waitSeconds", "type": "integer" }] }
+ * - source: incoming variable name (case-insensitive)
+ * - name: name to store it under (default: source). A built-in name renames the variable into that field.
+ * - type: string (default), number, integer, boolean, phone (E.164 via callerId.js) or date (ISO 8601)
+ * Declared fields are stored typed in the FIELDS JSON column; everything else that is not built in is kept as
+ * received in EXTRA_FIELDS, so no variable is dropped. A value that does not fit its type is kept as received
+ * and logged.
+ *
+ * Main Functions:
+ * - mapPayload(listener, body): { values (built-in fields), fields (declared), extra (unknown), warnings }.
+ * - getFields(listener) / saveFields(listener, fields): Read or replace a listener's declarations.
+ * - parseJsonColumns(row): FIELDS / EXTRA_FIELDS of a stored row as objects (for the APIs and dashboards).
+ */
+
+const fs = require('fs'); // Mapping file
+const { config } = require('./config'); // PAYLOAD_FIELDS_FILE
+const { parseCallerId } = require('./callerId'); // phone type
+
+// Variables each listener reads itself
+const BUILT_IN = {
+  remotecc: ['PBX_ID', 'CALL_ID', 'CALLER_ID_NAME', 'CALLER_ID_NUMBER', 'DIALED_NUMBER'],
+  httpNotify: ['PBX_ID', 'CALL_ID', 'CALLER_ID_NAME', 'CALLER_ID_NUMBER', 'DIALED_NUMBER', 'NODE', 'NODE_NAME', 'STAGE', 'OUTCOME']
+};
+const TYPES = ['string', 'number', 'integer', 'boolean', 'phone', 'date'];
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+
+let cache = { mtimeMs: null, data: {} }; // Parsed mapping file
+
+// Error answered with a status code by the routes
+function httpError(status, message, errors) {
+  const error = new Error(message);
+  error.status = status;
+  if (errors) error.errors = errors;
+  return error;
+}
+
+// Check the listener name used by the routers
+function checkListener(listener) {
+  if (!BUILT_IN[listener]) throw new Error(`Unknown listener: ${listener}`);
+}
+
+// The mapping file, re-read when it changed on disk ({} when it does not exist)
+function readFile() {
+  let stat;
+  try {
+    stat = fs.statSync(config.PAYLOAD_FIELDS_FILE);
+  } catch (err) {
+    cache = { mtimeMs: null, data: {} };
+    return cache.data;
+  }
+  if (stat.mtimeMs !== cache.mtimeMs) {
+    try {
+      cache = { mtimeMs: stat.mtimeMs, data: JSON.parse(fs.readFileSync(config.PAYLOAD_FIELDS_FILE, 'utf8')) || {} };
+    } catch (err) {
+      console.error(`Could not read ${config.PAYLOAD_FIELDS_FILE}, keeping the previous field mapping:`, err.message);
+    }
+  }
+  return cache.data;
+}
+
+/**
+ * Declared fields of a listener
+ * @param {string} listener - 'remotecc' or 'httpNotify'
+ * @returns {Object[]} - [{ source, name, type }]
+ */
+function getFields(listener) {
+  checkListener(listener);
+  const fields = readFile()[listener];
+  return Array.isArray(fields) ? fields : [];
+}
+
+/**
+ * Validate and normalize declarations
+ * @param {Object[]} fields - [{ source, name, type }]
+ * @returns {{fields: Object[], errors: string[]}}
+ */
+function validateFields(fields) {
+  const errors = [];
+  if (!Array.isArray(fields)) return { fields: [], errors: ['fields must be a list'] };
+  const normalized = fields.map((input, i) => {
+    const field = {
+      source: String((input && input.source) || '').trim(),
+      name: String((input && input.name) || (input && input.source) || '').trim(),
+      type: (input && input.type) || 'string'
+    };
+    if (!field.source) errors.push(`Field ${i + 1}: source is required`);
+    else if (!NAME_PATTERN.test(field.name)) errors.push(`Field ${i + 1}: name must be letters, digits and _ (got "${field.name}")`);
+    if (!TYPES.includes(field.type)) errors.push(`Field ${i + 1}: type must be one of ${TYPES.join(', ')}`);
+    return field;
+  });
+  const seen = { source: new Set(), name: new Set() };
+  normalized.forEach(field => {
+    if (seen.source.has(field.source.toLowerCase())) errors.push(`${field.source} is declared twice`);
+    if (seen.name.has(field.name)) errors.push(`Two fields are stored as ${field.name}`);
+    seen.source.add(field.source.toLowerCase());
+    seen.name.add(field.name);
+  });
+  return { fields: normalized, errors };
+}
+
+/**
+ * Replace the declarations of a listener (the other listener's entries are kept)
+ * @param {string} listener - 'remotecc' or 'httpNotify'
+ * @param {Object[]} input - [{ source, name, type }]
+ * @returns {Object[]} - The stored declarations; throws an Error with status 400 and .errors when invalid
+ */
+function saveFields(listener, input) {
+  checkListener(listener);
+  const { fields, errors } = validateFields(input);
+  if (errors.length) throw httpError(400, errors.join('; '), errors);
+  const data = { ...readFile(), [listener]: fields };
+  fs.writeFileSync(config.PAYLOAD_FIELDS_FILE, JSON.stringify(data, null, 2) + '\n');
+  return getFields(listener);
+}
+
+// Convert a received value to a declared type: { value } or { value (as received), error }
+function convert(type, raw) {
+  const text = String(raw).trim();
+  switch (type) {
+    case 'number':
+    case 'integer': {
+      const value = Number(text);
+      if (text === '' || !Number.isFinite(value) || (type === 'integer' && !Number.isInteger(value))) return { value: raw, error: `"${raw}" is not ${type === 'integer' ? 'a whole number' : 'a number'}` };
+      return { value };
+    }
+    case 'boolean':
+      if (['true', '1', 'yes', 'on'].includes(text.toLowerCase())) return { value: true };
+      if (['false', '0', 'no', 'off', ''].includes(text.toLowerCase())) return { value: false };
+      return { value: raw, error: `"${raw}" is not true or false` };
+    case 'phone': {
+      const caller = parseCallerId(text);
+      return caller.e164 ? { value: caller.e164 } : { value: raw, error: `"${raw}" is not a phone number` };
+    }
+    case 'date': {
+      const date = new Date(text);
+      return isNaN(date) ? { value: raw, error: `"${raw}" is not a date` } : { value: date.toISOString() };
+    }
+    default:
+      return { value: typeof raw === 'string' ? raw : JSON.stringify(raw) };
+  }
+}
+
+/**
+ * Split a webhook body into built-in values, declared fields and unknown fields
+ * @param {string} listener - 'remotecc' or 'httpNotify'
+ * @param {Object} body - Parsed request body
+ * @returns {Object} - { values, fields, extra, warnings }
+ */
+function mapPayload(listener, body) {
+  const builtIn = BUILT_IN[listener];
+  const declared = new Map(getFields(listener).map(field => [field.source.toLowerCase(), field]));
+  // No prototype: keys come from the request body, so "__proto__" must stay a plain key
+  const result = { values: Object.create(null), fields: Object.create(null), extra: Object.create(null), warnings: [] };
+  const renamed = {};
+  for (const [key, raw] of Object.entries(body || {})) {
+    const field = declared.get(key.toLowerCase());
+    if (field) {
+      const { value, error } = convert(field.type, raw);
+      if (error) result.warnings.push(`${key}: ${error}`);
+      if (builtIn.includes(field.name)) renamed[field.name] = value;
+      else result.fields[field.name] = value;
+    } else if (builtIn.includes(key)) {
+      result.values[key] = raw;
+    } else {
+      result.extra[key] = raw;
+    }
+  }
+  // Declared renames win over a variable that already has the built-in name, unless they are empty
+  Object.entries(renamed).forEach(([name, value]) => {
+    if (value !== '' && value !== null && value !== undefined) result.values[name] = String(value);
+  });
+  return result;
+}
+
+/**
+ * FIELDS / EXTRA_FIELDS of a stored row as objects
+ * @param {Object} row - Row of the events or calls table
+ * @returns {Object} - The same row with the JSON columns it has parsed ({} when empty or unreadable)
+ */
+function parseJsonColumns(row) {
+  const parse = text => {
+    try {
+      return text ? JSON.parse(text) : {};
+    } catch (err) {
+      return {};
+    }
+  };
+  const parsed = { ...row };
+  ['FIELDS', 'EXTRA_FIELDS'].filter(column => column in row).forEach(column => { parsed[column] = parse(row[column]); });
+  return parsed;
+}
+
+module.exports = { mapPayload, getFields, saveFields, validateFields, parseJsonColumns, BUILT_IN, TYPES };
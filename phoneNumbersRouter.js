@@ -0,0 +1,786 @@
+/**
+ * phoneNumbersRouter.js
+ *
+ * Phone number routes (napphovol.html, index.html, Allphonenum.html): phone numbers and caller IDs from the
+ * Voice Admin API, call activity from the Call Reports API, and the phone_numbers.db export/retention.
+ * Mounted at /phone-numbers by server.js, and at the root by napphovol.js.
+ *
+ * Main Functions:
+ * - createPhoneNumbersRouter(options): Returns an Express router, opens phone_numbers.db and starts the
+ *   optional auto-fetch (AUTO_FETCH_ENABLED) and auto-cleanup (AUTO_CLEANUP_ENABLED) schedulers.
+ */
+
+const express = require("express"); // For express.Router
+const path = require('path'); // For file paths
+const sqlite3 = require('sqlite3').verbose(); // persist phone numbers
+const { requireRole } = require("./localAuth"); // Admin-only debug/settings routes
+const { config } = require("./config"); // ACCOUNTKEY, auto-fetch / auto-cleanup settings
+const { GoToClient } = require("./gotoClient"); // GoTo API calls with retries and pagination
+
+// OAuth scope needed by these routes
+const SCOPE = "voice-admin.v1.read";
+
+/**
+ * Create the phone numbers router
+ * @param {Object} options
+ * @param {Object} options.tenants - Tenant registry from tenants.js
+ * @returns {Object} - Express router
+ */
+function createPhoneNumbersRouter(options) {
+  const { tenants } = options;
+  const router = express.Router();
+
+  let cachedAccountKey = config.ACCOUNTKEY;
+
+  // Initialize SQLite DB for persistent export of phone numbers
+  const DB_PATH = path.join(__dirname, 'phone_numbers.db');
+  const db = new sqlite3.Database(DB_PATH);
+  // Create table if not exists
+  db.serialize(() => {
+    db.run(`CREATE TABLE IF NOT EXISTS phone_numbers (
+      id TEXT PRIMARY KEY,
+      accountKey TEXT,
+      organizationId TEXT,
+      number TEXT,
+      name TEXT,
+      callerIdName TEXT,
+      status TEXT,
+      fetched_at INTEGER
+    )`);
+    // Add indexes for faster queries and optional dedupe helpers
+    db.run(`CREATE INDEX IF NOT EXISTS idx_phone_account ON phone_numbers(accountKey)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_phone_number ON phone_numbers(number)`);
+  });
+
+  // Helper to persist numbers to sqlite
+  function saveNumbersToDb(numbers, accountKey) {
+    return new Promise((resolve, reject) => {
+      if (!Array.isArray(numbers)) return resolve({ inserted: 0 });
+      const ts = Date.now();
+      db.serialize(() => {
+        const stmt = db.prepare(`INSERT OR REPLACE INTO phone_numbers (id, accountKey, organizationId, number, name, callerIdName, status, fetched_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`);
+        let inserted = 0;
+        for (const n of numbers) {
+          try {
+            stmt.run(n.id, accountKey || n.accountKey || null, n.organizationId || null, n.number || null, n.name || null, n.callerIdName || (n.callerId && n.callerId.name) || null, n.status || null, ts);
+            inserted++;
+          } catch (e) {
+            console.error('DB insert error for', n.id, e && e.message);
+          }
+        }
+        stmt.finalize(err => {
+          if (err) return reject(err);
+          resolve({ inserted });
+        });
+      });
+    });
+  }
+
+  // Fetch numbers for an accountKey (using the given organization's tokens) and persist to DB
+  async function fetchAndPersistNumbers(accountKey, orgId) {
+    if (!accountKey) throw new Error('Missing accountKey');
+    const tokens = tenants.forOrg(orgId);
+    const accessToken = await tokens.getValidAccessToken();
+    if (!accessToken) throw new Error('No access token');
+    console.log('Scheduled fetch: fetching phone numbers for', accountKey);
+    try {
+      const numbers = await new GoToClient({ tokens }).getAllPhoneNumbers(accountKey);
+      console.log(`Scheduled fetch: fetched ${numbers.length} numbers for ${accountKey}`);
+      try {
+        const dbRes = await saveNumbersToDb(numbers, accountKey);
+        console.log(`Scheduled fetch: saved ${dbRes.inserted} numbers to DB for ${accountKey}`);
+        return { fetched: numbers.length, saved: dbRes.inserted };
+      } catch (dbErr) {
+        console.error('Scheduled fetch: DB save error', dbErr && dbErr.message);
+        return { fetched: numbers.length, saved: 0, dbError: dbErr.message };
+      }
+    } catch (err) {
+      console.error('Scheduled fetch: API error', err && err.message, err.response?.data);
+      throw err;
+    }
+  }
+
+  // Setup optional auto-fetch scheduler (controlled by env vars)
+  (function setupAutoFetch() {
+    const enabled = config.AUTO_FETCH_ENABLED;
+    const minutes = config.AUTO_FETCH_INTERVAL_MINUTES;
+    if (!enabled) return;
+    // Every organization with a configured accountKey (ACCOUNTKEY or ORGANIZATIONS=orgId:label:accountKey)
+    const targets = tenants.list()
+      .map(org => ({ orgId: org.organizationId, key: tenants.getAccountKey(org.organizationId) }))
+      .filter(t => t.key);
+    if (targets.length === 0) {
+      console.warn('AUTO_FETCH_ENABLED is true but no ACCOUNTKEY is configured; disabling auto-fetch');
+      return;
+    }
+    for (const { orgId, key } of targets) {
+      // run immediately then schedule
+      (async () => {
+        try { await fetchAndPersistNumbers(key, orgId); } catch (e) { /* logged inside */ }
+      })();
+      setInterval(() => {
+        fetchAndPersistNumbers(key, orgId).catch(() => {});
+      }, minutes * 60 * 1000);
+      console.log(`Auto-fetch enabled: org=${orgId || 'default'}, accountKey=${key}, interval=${minutes}min`);
+    }
+  })();
+
+  // Helper to decode JWT payload (base64url)
+  function decodeJwtPayload(token) {
+    try {
+      if (!token) return null;
+      const part = token.split('.')[1] || '';
+      let b64 = part.replace(/-/g, '+').replace(/_/g, '/');
+      while (b64.length % 4) b64 += '=';
+      return JSON.parse(Buffer.from(b64, 'base64').toString('utf8'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Helper to get the selected org ID (?org= / ?organizationId=), falling back to .env
+  function getOrgId(req) {
+    return tenants.resolveOrg(req);
+  }
+
+  // Endpoint to fetch and print all phone numbers and caller ID info from GoTo Admin API
+  router.get("/fetch-all-phone-numbers", async (req, res) => {
+    const tokens = tenants.forOrg(getOrgId(req));
+    const accessToken = await tokens.getValidAccessToken();
+    if (!accessToken) {
+      res.status(401).send("No access token. Please authenticate first.");
+      return;
+    }
+
+    const api = new GoToClient({ tokens });
+    try {
+      // Step 1: Get identity via SCIM to find accountKey(s)
+      console.log('Calling SCIM /me');
+      const me = await api.getScimMe();
+
+      // SCIM extension may contain accounts under urn:scim:schemas:extension:getgo:1.0
+      const scimExt = me['urn:scim:schemas:extension:getgo:1.0'];
+      let accountsArr = scimExt?.accounts || me.accounts || [];
+
+      if (!accountsArr || accountsArr.length === 0) {
+        console.log('No accounts found in SCIM /me response, full payload:', JSON.stringify(me).slice(0,500));
+        res.status(404).send('No accounts found for this user via SCIM /me');
+        return;
+      }
+
+      // Prefer an accountKey whose entitlements include 'acctadmin'
+      let chosen = accountsArr.find(a => Array.isArray(a.entitlements) && a.entitlements.includes('acctadmin')) || accountsArr[0];
+      // Always prefer the environment variable ACCOUNTKEY if set; otherwise fall back to SCIM selection
+      const envAccountKey = tenants.getAccountKey(getOrgId(req));
+      // Validate envAccountKey is not the same as the JWT subject (user id)
+      const decoded = decodeJwtPayload(accessToken || '');
+      const tokenSub = decoded?.sub || decoded?.id || null;
+      if (envAccountKey && tokenSub && envAccountKey === tokenSub) {
+        console.log('ACCOUNTKEY env appears to equal JWT subject (user id) - refusing to use it');
+        res.status(400).send('Invalid ACCOUNTKEY: equals user id. Remove or set a valid accountKey from SCIM accounts.');
+        return;
+      }
+      const accountKey = envAccountKey || chosen?.value || chosen?.accountKey || chosen?.id;
+      if (!accountKey) {
+        console.log('Unable to determine accountKey from environment or SCIM /me accounts:', { envAccountKey, accounts: accountsArr });
+        res.status(404).send('No accountKey found in environment or SCIM /me accounts');
+        return;
+      }
+
+      console.log('Selected accountKey:', accountKey, envAccountKey ? '(from env ACCOUNTKEY)' : `from SCIM selection: ${chosen?.display || chosen?.value}`);
+
+      // Step 2: Fetch all phone numbers (every page) using accountKey
+      console.log('Calling Voice Admin phone-numbers for accountKey:', accountKey);
+      const numbers = await api.getAllPhoneNumbers(accountKey);
+      console.log('Fetched phone numbers count:', numbers.length);
+
+      // Persist numbers to sqlite DB (async)
+      try {
+        const dbResult = await saveNumbersToDb(numbers, accountKey);
+        console.log(`Saved ${dbResult.inserted} phone numbers to DB`);
+      } catch (e) {
+        console.error('Error saving phone numbers to DB', e && e.message);
+      }
+      // Print and return phone number and caller ID info
+      numbers.forEach(num => {
+        console.log(`Number: ${num.number}, Caller ID: ${num.callerIdName || num.callerId?.name || 'N/A'}`);
+      });
+
+      res.json({ phoneNumbers: numbers, accountKey });
+    } catch (error) {
+      console.error("Voice Admin API error:", error.message, error.response?.data);
+      res.status(error.response?.status || 500).json({ error: error.message, details: error.response?.data });
+    }
+  });
+
+  // Endpoint to fetch all phone numbers and caller ID from Voice Admin API, and call volume from Call Reports API
+  router.get("/phone-numbers-summary", async (req, res) => {
+    const tokens = tenants.forOrg(getOrgId(req));
+    const accessToken = await tokens.getValidAccessToken();
+    if (!accessToken) return res.status(401).send("No access token. Please authenticate first.");
+
+    const organizationId = getOrgId(req);
+    const overrideAccountKey = req.query.accountKey || tenants.getAccountKey(organizationId);
+    const api = new GoToClient({ tokens });
+
+    try {
+      // If explicit accountKey provided (query param or env), prefer that and call voice-admin by accountKey
+      if (overrideAccountKey) {
+        console.log('/phone-numbers-summary: using override accountKey', overrideAccountKey);
+        const numbers = await api.getAllPhoneNumbers(overrideAccountKey);
+        // persist in background
+        saveNumbersToDb(numbers, overrideAccountKey).catch(e => console.error('DB save error:', e && e.message));
+        const simple = (numbers || []).map(n => ({ phoneNumber: n.number || n.phoneNumber, callerId: n.callerIdName || n.callerId?.name || null }));
+        return res.json({ source: 'accountKey', accountKey: overrideAccountKey, accountDisplay: null, phoneNumbers: simple });
+      }
+
+      // If org id available, try org-based path (may return different account) — prefer explicit selection but org path is useful
+      if (organizationId) {
+        try {
+          console.log('/phone-numbers-summary: attempting org-based accounts lookup for', organizationId);
+          const accounts = await api.listOrganizationAccounts(organizationId);
+          if (accounts.length > 0) {
+            const accountId = accounts[0].id;
+            const numbers = await api.getAllAccountPhoneNumbers(accountId);
+            const acctDisplay = accounts[0].displayName || accounts[0].name || accounts[0].id || null;
+            const simple = (numbers || []).map(n => ({ phoneNumber: n.phoneNumber || n.number, callerId: n.callerId?.name || n.callerIdName || null }));
+            return res.json({ source: 'org', accountKey: accountId, accountDisplay: acctDisplay, phoneNumbers: simple });
+          }
+        } catch (orgErr) {
+          console.warn('/phone-numbers-summary org-based path failed, will attempt SCIM fallback:', orgErr.message);
+          // fall through to SCIM fallback
+        }
+      }
+
+      // SCIM fallback: derive accountKey from /identity/v1/Users/me
+      console.log('SCIM fallback: calling SCIM /me');
+      const me = await api.getScimMe();
+      const scimExt = me['urn:scim:schemas:extension:getgo:1.0'];
+      let accountsArr = scimExt?.accounts || me.accounts || [];
+      if (!accountsArr || accountsArr.length === 0) {
+        console.log('SCIM /me returned no accounts, payload:', JSON.stringify(me).slice(0,500));
+        return res.status(404).send('No accounts found for this user via SCIM /me');
+      }
+      // Prefer account with acctadmin entitlement, else first
+      const chosen = accountsArr.find(a => Array.isArray(a.entitlements) && a.entitlements.includes('acctadmin')) || accountsArr[0];
+      const accountKey = chosen?.value || chosen?.accountKey || chosen?.id;
+      const accountDisplay = chosen?.display || chosen?.displayName || null;
+      if (!accountKey) {
+        console.log('Unable to determine accountKey from SCIM accounts', accountsArr);
+        return res.status(404).send('No accountKey found via SCIM accounts');
+      }
+      // Call voice-admin by accountKey
+      console.log('SCIM fallback: calling Voice Admin phone-numbers for accountKey:', accountKey);
+      const numbers = await api.getAllPhoneNumbers(accountKey);
+      // Persist numbers async
+      saveNumbersToDb(numbers, accountKey).catch(e => console.error('DB save error (phone-numbers-summary fallback):', e && e.message));
+      const simple = (numbers || []).map(n => ({ phoneNumber: n.number || n.phoneNumber, callerId: n.callerIdName || n.callerId?.name || null }));
+      return res.json({ source: 'scim', accountKey, accountDisplay, phoneNumbers: simple });
+    } catch (error) {
+      console.error("/phone-numbers-summary error:", error.message, error.response?.data);
+      res.status(error.response?.status || 500).json({ error: error.message, details: error.response?.data });
+    }
+  });
+
+  // Endpoint to fetch phone number activity with caller/callee info
+  router.get("/phone-number-activity-calls", async (req, res) => {
+    const tokens = tenants.forOrg(getOrgId(req));
+    const accessToken = await tokens.getValidAccessToken();
+    const organizationId = getOrgId(req);
+    if (!accessToken) {
+      res.status(401).send("No access token. Please authenticate first.");
+      return;
+    }
+    if (!organizationId) {
+      res.status(400).send("No organization ID set in .env");
+      return;
+    }
+    try {
+      // Set date range to 3 years ago till today
+      const now = new Date();
+      const endTime = now.toISOString();
+      const startTime = new Date(now.getTime() - 3 * 365 * 24 * 60 * 60 * 1000).toISOString();
+      const allItems = await new GoToClient({ tokens }).getAllPhoneNumberActivity({ organizationId, startTime, endTime });
+      // Extract phone number, and any available caller/callee info
+      const result = allItems.map(item => ({
+        phoneNumber: item.phoneNumber,
+        // These fields may or may not be present depending on API version and data
+        callerId: item.callerId || null,
+        calleeId: item.calleeId || null,
+        callCount: item.callCount || null,
+        inboundCallCount: item.inboundCallCount || null,
+        outboundCallCount: item.outboundCallCount || null
+      }));
+      // Print and return
+      console.log("Phone number activity with caller/callee info:");
+      result.forEach(r => console.log(r));
+      res.json(result);
+    } catch (error) {
+      console.error("Call Reports API error:", error.message, error.response?.data);
+      res.status(error.response?.status || 500).json({ error: error.message, details: error.response?.data });
+    }
+  });
+
+  // Endpoint to print and return the raw data fields from Call Reports API phone number activity endpoint
+  router.get("/debug-call-reports-fields", async (req, res) => {
+    const tokens = tenants.forOrg(getOrgId(req));
+    const accessToken = await tokens.getValidAccessToken();
+    const organizationId = getOrgId(req);
+    if (!accessToken) {
+      res.status(401).send("No access token. Please authenticate first.");
+      return;
+    }
+    if (!organizationId) {
+      res.status(400).send("No organization ID set in .env");
+      return;
+    }
+    try {
+      // Set date range to 3 years ago till today
+      const now = new Date();
+      const endTime = now.toISOString();
+      const startTime = new Date(now.getTime() - 3 * 365 * 24 * 60 * 60 * 1000).toISOString();
+      const data = await new GoToClient({ tokens }).getPhoneNumberActivity({ organizationId, startTime, endTime, page: 1, pageSize: 1 });
+      const items = data.items || [];
+      if (items.length > 0) {
+        console.log("First call reports item fields:", Object.keys(items[0]));
+        res.json({ fields: Object.keys(items[0]), example: items[0] });
+      } else {
+        res.json({ fields: [], example: null });
+      }
+    } catch (error) {
+      console.error("Call Reports API error:", error.message, error.response?.data);
+      res.status(error.response?.status || 500).json({ error: error.message, details: error.response?.data });
+    }
+  });
+
+  // Endpoint to generate a phone number activity report and dashboard for the last year
+  router.get("/phone-number-activity-report", async (req, res) => {
+    const tokens = tenants.forOrg(getOrgId(req));
+    const accessToken = await tokens.getValidAccessToken();
+    const organizationId = getOrgId(req);
+    if (!accessToken) {
+      res.status(401).send("No access token. Please authenticate first.");
+      return;
+    }
+    if (!organizationId) {
+      res.status(400).send("No organization ID set in .env");
+      return;
+    }
+    const api = new GoToClient({ tokens });
+    try {
+      // Get all accounts for the org
+      const accounts = await api.listOrganizationAccounts(organizationId);
+      if (accounts.length === 0) {
+        res.status(404).send("No accounts found for this organization.");
+        return;
+      }
+      const accountId = accounts[0].id;
+      // Get all phone numbers for the account
+      const numbers = await api.getAllAccountPhoneNumbers(accountId);
+      // Get call activity for all numbers (last year)
+      const now = new Date();
+      const endTime = now.toISOString();
+      const startTime = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000).toISOString();
+      const allCallData = await api.getAllPhoneNumberActivity({ organizationId, startTime, endTime });
+      // Map call activity by phone number
+      const callSummaryMap = {};
+      allCallData.forEach(item => {
+        callSummaryMap[item.phoneNumber] = item;
+      });
+      // Build report for all phone numbers
+      let html = `<html><head><title>Phone Number Activity Report</title><style>body{font-family:sans-serif;}table{border-collapse:collapse;width:100%;}th,td{border:1px solid #ccc;padding:8px;}th{background:#f0f0f0;}tr:nth-child(even){background:#fafafa;}</style></head><body>`;
+      html += `<h1>Phone Number Activity Report (All Numbers)</h1>`;
+      html += `<table><tr><th>Name</th><th>Number</th><th>Inbound Calls</th><th>Inbound Duration (s)</th><th>Outbound Calls</th><th>Outbound Duration (s)</th><th>Total Calls</th><th>Total Duration (s)</th></tr>`;
+      numbers.forEach(num => {
+        const summary = callSummaryMap[num.phoneNumber] || {};
+        const dv = summary.dataValues || {};
+        html += `<tr>`;
+        html += `<td>${num.callerId?.name || num.phoneNumberName || ""}</td>`;
+        html += `<td>${num.phoneNumber || ""}</td>`;
+        html += `<td>${dv.inboundVolume || 0}</td>`;
+        html += `<td>${Math.round((dv.inboundDuration || 0)/1000)}</td>`;
+        html += `<td>${dv.outboundVolume || 0}</td>`;
+        html += `<td>${Math.round((dv.outboundDuration || 0)/1000)}</td>`;
+        html += `<td>${dv.volume || 0}</td>`;
+        html += `<td>${Math.round((dv.totalDuration || 0)/1000)}</td>`;
+        html += `</tr>`;
+      });
+      html += `</table></body></html>`;
+      res.send(html);
+    } catch (error) {
+      console.error("Phone Number Activity Report error:", error.message, error.response?.data);
+      res.status(error.response?.status || 500).json({ error: error.message, details: error.response?.data });
+    }
+  });
+
+  // Dedicated endpoint to check if any call activity data exists for the last year and show the first item
+  router.get("/call-activity-exists", async (req, res) => {
+    const tokens = tenants.forOrg(getOrgId(req));
+    const accessToken = await tokens.getValidAccessToken();
+    const organizationId = getOrgId(req);
+    if (!accessToken) {
+      res.status(401).send("No access token. Please authenticate first.");
+      return;
+    }
+    if (!organizationId) {
+      res.status(400).send("No organization ID set in .env");
+      return;
+    }
+    try {
+      // Set date range to 1 year ago till today
+      const now = new Date();
+      const endTime = now.toISOString();
+      const startTime = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000).toISOString();
+      // Only fetch 1 item to check for existence and show fields
+      const data = await new GoToClient({ tokens }).getPhoneNumberActivity({ organizationId, startTime, endTime, page: 1, pageSize: 1 });
+      const items = data.items || [];
+      let count = 0;
+      if (data.totalCount !== undefined) {
+        count = data.totalCount;
+      } else if (data.count !== undefined) {
+        count = data.count;
+      } else {
+        count = items.length;
+      }
+      // Log all fields and data to terminal
+      if (items.length > 0) {
+        console.log("First call activity data item:", items[0]);
+        console.log("All fields:", Object.keys(items[0]));
+      } else {
+        console.log("No call activity data found for the last year.");
+      }
+      res.json({ exists: items.length > 0, count, data: items[0] || null, fields: items[0] ? Object.keys(items[0]) : [] });
+    } catch (error) {
+      console.error("Call Reports API error:", error.message, error.response?.data);
+      res.status(error.response?.status || 500).json({ error: error.message, details: error.response?.data });
+    }
+  });
+
+  // Dynamically fetch accountKey for the organization from the Voicemail API
+  async function fetchAccountKey(accessToken, organizationId) {
+    const api = new GoToClient({ accessToken });
+    try {
+      const voicemailResp = await api.listVoicemailboxes({ organizationId, pageSize: 10 });
+      const voicemailboxes = voicemailResp.items || [];
+      for (const box of voicemailboxes) {
+        const msgResp = await api.listVoicemails(box.voicemailboxId, { pageSize: 5 });
+        const messages = msgResp.items || [];
+        for (const message of messages) {
+          if (message.accountKey) {
+            return message.accountKey;
+          }
+        }
+      }
+    } catch (err) {
+      // Ignore errors, return null if not found
+    }
+    return null;
+  }
+
+  // Endpoint to set accountKey in memory (for demo/testing)
+  router.get('/api/set-accountkey', requireRole('admin'), (req, res) => {
+    if (req.query.accountKey) {
+      cachedAccountKey = req.query.accountKey;
+      res.json({ success: true, accountKey: cachedAccountKey });
+    } else {
+      res.status(400).json({ error: 'Missing accountKey parameter.' });
+    }
+  });
+
+  // Test endpoint to compare accountKey from Voicemail API and Voice Admin API
+  router.get('/api/test-accountkey-compare', async (req, res) => {
+    // Managed token of the org; organizationId from the query or the selected org
+    const tokens = tenants.forOrg(getOrgId(req));
+    const accessToken = await tokens.getValidAccessToken();
+    const organizationId = getOrgId(req);
+    if (!accessToken) {
+      return res.status(401).json({ error: 'Missing access token. Please authenticate first.' });
+    }
+    if (!organizationId) {
+      return res.status(400).json({ error: 'Missing organization ID. Please set ORGANIZATIONALID in .env or provide as query param.' });
+    }
+    const api = new GoToClient({ tokens });
+    try {
+      // Step 1: Get voicemailboxes
+      const voicemailResp = await api.listVoicemailboxes({ organizationId, pageSize: 1 });
+      const voicemailboxes = voicemailResp.items || [];
+      if (voicemailboxes.length === 0) {
+        return res.status(404).json({ error: 'No voicemailboxes found for this organization.' });
+      }
+      // Step 2: Get first voicemail for first box
+      const box = voicemailboxes[0];
+      let voicemailAccountKey = null;
+      try {
+        const msgResp = await api.listVoicemails(box.voicemailboxId, { pageSize: 1 });
+        const message = (msgResp.items || [])[0];
+        voicemailAccountKey = message ? message.accountKey : null;
+      } catch (msgErr) {
+        voicemailAccountKey = null;
+      }
+      if (!voicemailAccountKey) {
+        return res.status(404).json({ error: 'No accountKey found in first voicemail message.' });
+      }
+      // Step 3: Query Voice Admin API with this accountKey
+      let voiceAdminResult = null;
+      try {
+        voiceAdminResult = await api.getPhoneNumber({ accountkey: voicemailAccountKey });
+      } catch (vaErr) {
+        voiceAdminResult = { error: vaErr.message, details: vaErr.response?.data };
+      }
+      res.json({
+        voicemailAccountKey,
+        voiceAdminResult
+      });
+    } catch (error) {
+      res.status(error.response?.status || 500).json({ error: error.message, details: error.response?.data });
+    }
+  });
+
+  // Enhanced test endpoint: search up to 100 voicemail boxes and 20 messages each, log raw message data
+  router.get('/api/test-accountkey-compare', async (req, res) => {
+    const tokens = tenants.forOrg(getOrgId(req));
+    const accessToken = await tokens.getValidAccessToken();
+    const organizationId = getOrgId(req);
+    if (!accessToken) {
+      return res.status(401).json({ error: 'Missing access token. Please authenticate first.' });
+    }
+    if (!organizationId) {
+      return res.status(400).json({ error: 'Missing organization ID. Please set ORGANIZATIONALID in .env or provide as query param.' });
+    }
+    const api = new GoToClient({ tokens });
+    try {
+      // Step 1: Get up to 100 voicemailboxes
+      const voicemailResp = await api.listVoicemailboxes({ organizationId, pageSize: 100 });
+      const voicemailboxes = voicemailResp.items || [];
+      let foundAccountKey = null;
+      let foundBox = null;
+      let foundMessage = null;
+      let debugMessages = [];
+      // Step 2: Search each box for a message with accountKey, log all messages
+      for (const box of voicemailboxes) {
+        try {
+          const msgResp = await api.listVoicemails(box.voicemailboxId, { pageSize: 20 });
+          const messages = msgResp.items || [];
+          debugMessages.push({ boxId: box.voicemailboxId, messages });
+          for (const message of messages) {
+            if (message.accountKey) {
+              foundAccountKey = message.accountKey;
+              foundBox = box;
+              foundMessage = message;
+              break;
+            }
+          }
+          if (foundAccountKey) break;
+        } catch (msgErr) {
+          // Ignore errors for individual boxes
+        }
+      }
+      if (!foundAccountKey) {
+        return res.status(404).json({ error: 'No accountKey found in any of the first 100 voicemail boxes/messages.', debugMessages });
+      }
+      // Step 3: Query Voice Admin API with this accountKey
+      let voiceAdminResult = null;
+      try {
+        voiceAdminResult = await api.getPhoneNumber({ accountkey: foundAccountKey });
+      } catch (vaErr) {
+        voiceAdminResult = { error: vaErr.message, details: vaErr.response?.data };
+      }
+      res.json({
+        voicemailAccountKey: foundAccountKey,
+        voicemailBox: foundBox,
+        voicemailMessage: foundMessage,
+        voiceAdminResult,
+        debugMessages
+      });
+    } catch (error) {
+      res.status(error.response?.status || 500).json({ error: error.message, details: error.response?.data });
+    }
+  });
+
+  // Debug endpoint: decode current access token and call /admin/v1/me
+  router.get('/debug-token', requireRole('admin'), async (req, res) => {
+    const tokens = tenants.forOrg(getOrgId(req));
+    const accessToken = await tokens.getValidAccessToken();
+    if (!accessToken) return res.status(401).json({ error: 'No access token. Authenticate first.' });
+
+    // Decode JWT payload (if token is a JWT)
+    let decoded = null;
+    try {
+      const parts = accessToken.split('.');
+      if (parts.length >= 2) {
+        const payload = parts[1];
+        // Add padding if needed
+        const pad = payload.length % 4;
+        const padded = pad ? payload + '='.repeat(4 - pad) : payload;
+        decoded = JSON.parse(Buffer.from(padded, 'base64').toString('utf8'));
+      } else {
+        decoded = { message: 'Token does not appear to be a JWT' };
+      }
+    } catch (err) {
+      decoded = { error: 'Failed to decode token payload', message: err.message };
+    }
+
+    // Call /admin/v1/me to verify token and get accountKey
+    let meData = null;
+    try {
+      meData = await new GoToClient({ tokens }).getAdminMe();
+    } catch (err) {
+      meData = { error: 'me call failed', message: err.message, details: err.response?.data };
+    }
+
+    res.json({ decodedToken: decoded, me: meData });
+  });
+
+  // Extended debug endpoint: try SCIM /me and admin /me on both hosts
+  router.get('/debug-token-extended', requireRole('admin'), async (req, res) => {
+    const tokens = tenants.forOrg(getOrgId(req));
+    const accessToken = await tokens.getValidAccessToken();
+    if (!accessToken) return res.status(401).json({ error: 'No access token. Authenticate first.' });
+
+    // Helper to call an API path on a base URL and capture result (no retries, this is a probe)
+    const api = new GoToClient({ tokens, maxRetries: 0 });
+    async function callUrl(baseUrl, path) {
+      try {
+        const r = await api.request({ baseUrl, path });
+        return { ok: true, status: r.status, data: r.data };
+      } catch (err) {
+        return { ok: false, message: err.message, status: err.response?.status, details: err.response?.data };
+      }
+    }
+
+    // Decode JWT payload (if token is a JWT)
+    let decoded = null;
+    try {
+      const parts = accessToken.split('.');
+      if (parts.length >= 2) {
+        const payload = parts[1];
+        const pad = payload.length % 4;
+        const padded = pad ? payload + '='.repeat(4 - pad) : payload;
+        decoded = JSON.parse(Buffer.from(padded, 'base64').toString('utf8'));
+      } else {
+        decoded = { message: 'Token does not appear to be a JWT' };
+      }
+    } catch (err) {
+      decoded = { error: 'Failed to decode token payload', message: err.message };
+    }
+
+    // Try endpoints
+    const results = {};
+    results.scim_me = await callUrl(api.identityUrl, '/identity/v1/Users/me');
+    results.admin_me_goto = await callUrl(api.baseUrl, '/admin/v1/me');
+    results.admin_me_getgo = await callUrl(api.identityUrl, '/admin/v1/me');
+
+    res.json({ decodedToken: decoded, results });
+  });
+
+  // Endpoint: list SCIM accounts available to the authenticated user
+  router.get('/list-scim-accounts', async (req, res) => {
+    const tokens = tenants.forOrg(getOrgId(req));
+    const accessToken = await tokens.getValidAccessToken();
+    if (!accessToken) return res.status(401).json({ error: 'No access token. Authenticate first.' });
+    try {
+      const me = await new GoToClient({ tokens }).getScimMe();
+      const ext = me['urn:scim:schemas:extension:getgo:1.0'];
+      const accounts = (ext?.accounts || me.accounts || []).map(a => ({ value: a.value || a.accountKey || a.id, display: a.display || null, entitlements: a.entitlements || [] }));
+      res.json({ accounts });
+    } catch (err) {
+      console.error('/list-scim-accounts error', err.message, err.response?.data);
+      res.status(err.response?.status || 500).json({ error: err.message, details: err.response?.data });
+    }
+  });
+
+  // Endpoint to read persisted phone numbers from DB
+  router.get('/db/phone-numbers', (req, res) => {
+    const qAccount = req.query.accountKey || req.query.account || null;
+    const params = [];
+    let sql = 'SELECT * FROM phone_numbers';
+    if (qAccount) { sql += ' WHERE accountKey = ?'; params.push(qAccount); }
+    db.all(sql, params, (err, rows) => {
+      if (err) return res.status(500).json({ error: err.message });
+      res.json({ count: rows.length, rows });
+    });
+  });
+
+  // Endpoint to export phone numbers as CSV (streams attachment, requires the viewer role)
+  router.get('/export-phone-numbers', requireRole('viewer'), (req, res) => {
+    const accountKey = req.query.accountKey || tenants.getAccountKey(getOrgId(req));
+    const params = accountKey ? [accountKey] : [];
+    const sql = accountKey ? 'SELECT number, name, status FROM phone_numbers WHERE accountKey = ? ORDER BY number' : 'SELECT number, name, status FROM phone_numbers ORDER BY accountKey, number';
+    db.all(sql, params, (err, rows) => {
+      if (err) return res.status(500).json({ error: err.message });
+      const filename = `phone-numbers-${accountKey || 'all'}.csv`;
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      // write header
+      res.write('number,name,status\n');
+      for (const r of rows) {
+        const num = (r.number || '').replace(/"/g, '""');
+        const name = (r.name || '').replace(/"/g, '""');
+        const status = (r.status || '').replace(/"/g, '""');
+        res.write(`"${num}","${name}","${status}"\n`);
+      }
+      res.end();
+    });
+  });
+
+  // Cleanup/retention: delete rows older than RETENTION_DAYS (default 90)
+  function cleanOldRows(retentionDays) {
+    return new Promise((resolve, reject) => {
+      const days = parseInt(retentionDays || config.RETENTION_DAYS, 10) || 90;
+      const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+      db.run('DELETE FROM phone_numbers WHERE fetched_at < ?', [cutoff], function(err) {
+        if (err) return reject(err);
+        resolve({ deleted: this.changes || 0 });
+      });
+    });
+  }
+
+  // Endpoint to trigger cleanup manually
+  router.post('/db/cleanup', requireRole('admin'), async (req, res) => {
+    const days = req.query.days || config.RETENTION_DAYS;
+    try {
+      const result = await cleanOldRows(days);
+      res.json({ success: true, result });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // Optional auto-cleanup scheduler controlled by env var AUTO_CLEANUP_ENABLED (true/false) and AUTO_CLEANUP_INTERVAL_HOURS
+  (function setupAutoCleanup() {
+    const enabled = config.AUTO_CLEANUP_ENABLED;
+    const hours = config.AUTO_CLEANUP_INTERVAL_HOURS;
+    if (!enabled) return;
+    const days = config.RETENTION_DAYS;
+    // run immediately then schedule
+    (async () => {
+      try {
+        const r = await cleanOldRows(days);
+        console.log(`Auto-clean: removed ${r.deleted} rows older than ${days} days`);
+      } catch (e) {
+        console.error('Auto-clean error', e && e.message);
+      }
+    })();
+    setInterval(() => {
+      cleanOldRows(days).then(r => console.log(`Auto-clean: removed ${r.deleted} rows`)).catch(e => console.error('Auto-clean error', e && e.message));
+    }, hours * 60 * 60 * 1000);
+    console.log(`Auto-clean enabled: interval=${hours}h, retention=${days}d`);
+  })();
+
+  // Debug: return decoded access token payload and basic token info
+  router.get('/debug/token-info', requireRole('admin'), (req, res) => {
+    try {
+      const tokens = tenants.forOrg(getOrgId(req));
+      const token = tokens.getAccessToken();
+      if (!token) return res.json({ hasToken: false });
+      const decoded = decodeJwtPayload(token);
+      res.json({ hasToken: true, decodedPayload: decoded || null, ...tokens.getStatus() });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { SCOPE, createPhoneNumbersRouter };
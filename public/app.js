@@ -4,7 +4,7 @@ async function fetchCallActivity() {
   summaryDiv.textContent = 'Loading...';
   dataSection.innerHTML = '';
   try {
-    const resp = await fetch('/call-activity-exists');
+    const resp = await fetch(moduleUrl('phoneNumbers', '/call-activity-exists'));
     if (!resp.ok) throw new Error('Failed to fetch data');
     const data = await resp.json();
     if (!data.exists) {
@@ -31,7 +31,7 @@ async function fetchCallActivity() {
 }
 
 async function fetchNumbers() {
-  const resp = await fetch('/fetch-all-phone-numbers');
+  const resp = await fetch(moduleUrl('phoneNumbers', '/fetch-all-phone-numbers'));
   if (!resp.ok) throw new Error('Fetch failed: ' + resp.status);
   return resp.json();
 }
@@ -0,0 +1,168 @@
+// liveFeed.js
+// Shared by the live dashboards (remotecc.html, calls-dashboard.html): connects to the server's Socket.IO
+// events (needs /socket.io/socket.io.js, served by RemoteCC.js, HTTPNotify.js and server.js) with automatic
+// reconnection, and adds a toolbar with the connection status, live filters (state, extension, PBX, dialed
+// number), pause/resume and per-minute call-rate counters.
+//
+// The page renders the rows itself and stores each row's data on its <tr> as tr.row; the feed hides the
+// rows that do not match the filters:
+//   const feed = createLiveFeed({
+//     container, tbody, events: ['new_event'],
+//     filters: { state: row => row.MATCHED_STATE, extension: ..., pbx: ..., dialed: ... },
+//     onEvent: (name, row) => tbody.prepend(renderRow(row, true)),
+//     onReconnect: fetchEvents // Reload what was missed while disconnected
+//   });
+//   feed.load(rows) after each full reload (filters and counters are recomputed).
+
+const RATE_MINUTES = 15; // Minutes kept for the call-rate counters
+const MAX_QUEUED = 1000; // Events held while paused; beyond that the table is reloaded on resume
+
+// "2024-05-01 14:03:00" (SQLite CURRENT_TIMESTAMP, UTC) -> milliseconds
+function parseTimestamp(value) {
+  if (!value) return NaN;
+  const text = String(value);
+  return Date.parse(/[zZ]|[+-]\d\d:?\d\d$/.test(text) ? text : text.replace(' ', 'T') + 'Z');
+}
+
+function createLiveFeed(options) {
+  const { container, tbody, events, filters, onEvent, onReconnect } = options;
+  const filterNames = Object.keys(filters);
+  const labels = { state: 'State', extension: 'Extension', pbx: 'PBX ID', dialed: 'Dialed' };
+  const recent = new Map(); // CALL_ID (or a counter) -> { at, row }: calls of the last RATE_MINUTES
+  let queued = [];
+  let overflowed = false;
+  let paused = false;
+  let anonymous = 0;
+
+  container.innerHTML = `
+    <span class="live-status" data-state="connecting">Connecting...</span>
+    ${filterNames.map(name => `<label>${labels[name] || name} <input data-filter="${name}" size="10"></label>`).join(' ')}
+    <button type="button" class="live-pause">Pause</button>
+    <span class="live-queued"></span>
+    <div class="live-rates"></div>
+  `;
+  const status = container.querySelector('.live-status');
+  const pauseButton = container.querySelector('.live-pause');
+  const queuedLabel = container.querySelector('.live-queued');
+  const rates = container.querySelector('.live-rates');
+  const inputs = Array.from(container.querySelectorAll('[data-filter]'));
+
+  function setStatus(state, text) {
+    status.dataset.state = state;
+    status.textContent = text;
+  }
+
+  // Whether a row matches every filter (case-insensitive "contains"; empty filters match everything)
+  function matches(row) {
+    return inputs.every(input => {
+      const wanted = input.value.trim().toLowerCase();
+      return !wanted || String(filters[input.dataset.filter](row) ?? '').toLowerCase().includes(wanted);
+    });
+  }
+
+  // Hide the table rows that do not match
+  function applyFilters() {
+    tbody.querySelectorAll('tr').forEach(tr => {
+      tr.style.display = !tr.row || matches(tr.row) ? '' : 'none';
+    });
+  }
+
+  // Count a call once, at the time it was first seen
+  function remember(row, at) {
+    const key = row.CALL_ID ? 'call:' + row.CALL_ID : 'event:' + (++anonymous);
+    if (!recent.has(key) || recent.get(key).at > at) recent.set(key, { at, row });
+  }
+
+  // Calls per minute (shown calls only) for the current minute, the last one and the last RATE_MINUTES
+  function renderRates() {
+    const now = Date.now();
+    const minute = Math.floor(now / 60000);
+    const counts = new Array(RATE_MINUTES).fill(0);
+    recent.forEach((call, key) => {
+      const age = minute - Math.floor(call.at / 60000);
+      if (age >= RATE_MINUTES) return recent.delete(key);
+      if (age >= 0 && matches(call.row)) counts[age]++;
+    });
+    const average = counts.slice(1).reduce((sum, n) => sum + n, 0) / (RATE_MINUTES - 1);
+    rates.textContent = `Calls this minute: ${counts[0]} | last minute: ${counts[1]} | average over ${RATE_MINUTES - 1} min: ${average.toFixed(1)}/min` +
+      ` | by minute (newest first): ${counts.join(' ')}`;
+  }
+
+  function show(name, row) {
+    onEvent(name, row);
+    applyFilters();
+  }
+
+  function updateQueued() {
+    queuedLabel.textContent = paused ? `${queued.length}${overflowed ? '+' : ''} new event(s) waiting` : '';
+  }
+
+  function setPaused(value) {
+    paused = value;
+    pauseButton.textContent = paused ? 'Resume' : 'Pause';
+    if (!paused) {
+      const waiting = queued;
+      queued = [];
+      if (overflowed) {
+        overflowed = false;
+        onReconnect(); // Too many to replay one by one
+      } else {
+        waiting.forEach(([name, row]) => show(name, row));
+      }
+    }
+    updateQueued();
+  }
+
+  inputs.forEach(input => input.addEventListener('input', () => {
+    applyFilters();
+    renderRates();
+  }));
+  pauseButton.addEventListener('click', () => setPaused(!paused));
+
+  const socket = io({ reconnection: true, reconnectionDelay: 1000, reconnectionDelayMax: 10000 });
+  socket.on('connect', () => setStatus('connected', 'Live'));
+  socket.on('disconnect', reason => {
+    setStatus('reconnecting', `Disconnected (${reason}), reconnecting...`);
+    if (reason === 'io server disconnect') socket.connect(); // Not retried automatically
+  });
+  socket.on('connect_error', err => {
+    if (err.message === 'Authentication required') {
+      setStatus('error', 'Not logged in: reload the page to log in');
+      socket.disconnect();
+    } else {
+      setStatus('reconnecting', `Cannot reach the server (${err.message}), retrying...`);
+    }
+  });
+  socket.io.on('reconnect_attempt', attempt => setStatus('reconnecting', `Reconnecting (attempt ${attempt})...`));
+  socket.io.on('reconnect', () => {
+    if (!paused) onReconnect(); // Events sent while disconnected are only in the database
+  });
+
+  events.forEach(name => socket.on(name, row => {
+    if (!row.timestamp) row.timestamp = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    remember(row, Date.now());
+    renderRates();
+    if (!paused) return show(name, row);
+    if (queued.length >= MAX_QUEUED) overflowed = true;
+    else queued.push([name, row]);
+    updateQueued();
+  }));
+
+  setInterval(renderRates, 15000); // Roll the minutes over without new events
+
+  return {
+    socket,
+    // Rows of a full reload: seeds the counters and applies the filters
+    load(rows) {
+      recent.clear();
+      const since = Date.now() - RATE_MINUTES * 60000;
+      rows.forEach(row => {
+        const at = parseTimestamp(row.timestamp);
+        if (at >= since) remember(row, at);
+      });
+      applyFilters();
+      renderRates();
+    },
+    isPaused: () => paused
+  };
+}
@@ -0,0 +1,10 @@
+// modules.js
+// URL prefix of each server module, so the dashboards work both with the standalone servers
+// (everything mounted at the root) and with server.js (e.g. /phone-numbers, /reports).
+// server.js serves this file with window.GOTO_MODULES already filled in.
+window.GOTO_MODULES = window.GOTO_MODULES || {};
+
+// Build the URL of a module route, e.g. moduleUrl('voicemail', '/api/voicemails?org=...')
+function moduleUrl(name, path) {
+  return (window.GOTO_MODULES[name] || '') + path;
+}
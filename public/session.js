@@ -0,0 +1,34 @@
+// session.js
+// Shared by the dashboards: shows who is logged in, offers a logout button and
+// hides admin-only elements (data-role="admin") from viewers.
+(async function () {
+  let me;
+  try {
+    const resp = await fetch('/api/me');
+    if (resp.status === 401) {
+      window.location.href = '/login?next=' + encodeURIComponent(window.location.pathname + window.location.search);
+      return;
+    }
+    me = await resp.json();
+  } catch (e) {
+    return; // Server without the login layer; nothing to show
+  }
+
+  if (me.role !== 'admin') {
+    document.querySelectorAll('[data-role="admin"]').forEach(el => { el.style.display = 'none'; });
+  }
+
+  const bar = document.createElement('form');
+  bar.method = 'POST';
+  bar.action = '/logout';
+  bar.style.cssText = 'position:fixed;top:8px;right:12px;font:13px Segoe UI,Arial,sans-serif;color:#555;background:#fff;padding:4px 10px;border-radius:4px;box-shadow:0 1px 4px rgba(0,0,0,0.1);z-index:1000;';
+  const label = document.createElement('span');
+  label.textContent = `${me.username} (${me.role}) `;
+  const button = document.createElement('button');
+  button.type = 'submit';
+  button.textContent = 'Log out';
+  button.style.cssText = 'margin:0;padding:2px 8px;font-size:12px;width:auto;';
+  bar.appendChild(label);
+  bar.appendChild(button);
+  document.body.appendChild(bar);
+})();
@@ -0,0 +1,68 @@
+/**
+ * publicFiles.js
+ *
+ * Static file serving shared by every server in this project.
+ * Only the public/ directory is served, and only file types on an allowlist, so tokens, .env,
+ * SQLite databases (phone_numbers.db, calls.db, remotecc_events.db, statescodes.db), logs and CSV
+ * exports in the project root are never reachable over HTTP.
+ *
+ * Data files that we do want to share are exposed through explicit download routes that require
+ * a logged-in user or an API key with at least the viewer role (see localAuth.js).
+ *
+ * Main Functions:
+ * - servePublic(app): Serves allowlisted assets from public/.
+ * - registerDownloads(app): Adds GET /downloads and GET /downloads/:name.
+ */
+
+const express = require('express'); // For express.static
+const path = require('path'); // For file paths
+const fs = require('fs'); // For checking download files
+const { requireRole } = require('./localAuth'); // Downloads require the viewer role
+
+// Directory holding the dashboards and their assets
+const PUBLIC_DIR = path.join(__dirname, 'public');
+
+// File extensions that may be served from public/
+const PUBLIC_EXTENSIONS = ['.html', '.css', '.js', '.png', '.jpg', '.jpeg', '.svg', '.ico'];
+
+// Data files available through /downloads/:name (name -> file in the project root)
+const DOWNLOADS = {
+  'napleton-export.csv': 'napleton-export.csv',
+  'napleton-numbers.csv': 'napleton-numbers.csv',
+  'statescodes.csv': 'statescodes.csv',
+  'statescodes-LMI-CL3Y6G3.csv': 'statescodes-LMI-CL3Y6G3.csv'
+};
+
+// Static handler for public/ (dotfiles are never served)
+const staticHandler = express.static(PUBLIC_DIR, { dotfiles: 'ignore' });
+
+// Serve public/ with an extension allowlist
+function servePublic(app) {
+  app.use((req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+    const ext = path.extname(req.path).toLowerCase();
+    // Directory requests ("/") fall through to index.html or to the app's own routes
+    if (ext && !PUBLIC_EXTENSIONS.includes(ext)) return next();
+    return staticHandler(req, res, next);
+  });
+}
+
+// Register the authenticated download routes
+function registerDownloads(app) {
+  // List the files that can be downloaded
+  app.get('/downloads', requireRole('viewer'), (req, res) => {
+    const files = Object.keys(DOWNLOADS).filter(name => fs.existsSync(path.join(__dirname, DOWNLOADS[name])));
+    res.json({ files });
+  });
+
+  // Download one allowlisted file as an attachment
+  app.get('/downloads/:name', requireRole('viewer'), (req, res) => {
+    const file = DOWNLOADS[req.params.name];
+    if (!file || !fs.existsSync(path.join(__dirname, file))) {
+      return res.status(404).json({ error: 'File not found.' });
+    }
+    res.download(path.join(__dirname, file), req.params.name);
+  });
+}
+
+module.exports = { PUBLIC_DIR, servePublic, registerDownloads };
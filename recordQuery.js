@@ -0,0 +1,195 @@
+/**
+ * recordQuery.js
+ *
+ * Query language shared by GET /calls (calls table of calls.db, httpNotifyRouter.js) and GET /events (events table
+ * of remotecc_events.db, remoteccRouter.js). Query parameters:
+ * - limit: rows per page (default 100, max 1000)
+ * - cursor: the X-Next-Cursor of the previous page. Rows are newest first (timestamp, then id), so new rows arriving
+ *   while paging do not shift the pages.
+ * - from / to: timestamp range in UTC, ISO 8601 ("2024-05-01T13:00:00Z") or a day ("2024-05-01"). from is inclusive;
+ *   to is exclusive, and a day includes the whole day.
+ * - state, extension, caller, dialed, pbx, callId: filters; several values are separated by commas.
+ *   caller matches the normalized number (CALLER_E164) or the number as received (CALLER_ID_NUMBER).
+ * - fields: columns to return, comma separated (default all; id and timestamp are always included)
+ * The answer stays a JSON array; when there are more rows, X-Next-Cursor and a Link header (rel="next") point to
+ * the next page. Invalid parameters get 400 with the list of errors.
+ *
+ * Main Functions:
+ * - createRecordQuery(db, table): Returns { ensureIndexes(), run(query), setPageHeaders(req, res, page) } for
+ *   'calls' or 'events'.
+ * - parseBound(value, isEnd): A from/to parameter as a SQL timestamp (null when it is not a date).
+ * - TABLES: Filter name -> column of each table (also used by the rollups in callRetention.js).
+ */
+
+const { parseCallerId } = require('./callerId'); // Normalize caller filters like the stored CALLER_E164
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Filter name -> column, per table
+const TABLES = {
+  calls: { state: 'State', extension: 'Extension', dialed: 'DIALED_NUMBER', pbx: 'PBX_ID', callId: 'CALL_ID' },
+  events: { state: 'MATCHED_STATE', extension: 'MATCHED_EXTENSION', dialed: 'DIALED_NUMBER', pbx: 'PBX_ID', callId: 'CALL_ID' }
+};
+
+// Error answered with a status code by the routes
+function httpError(status, message, errors) {
+  const error = new Error(message);
+  error.status = status;
+  if (errors) error.errors = errors;
+  return error;
+}
+
+// Comma-separated (or repeated) query parameter -> trimmed values
+function listParam(value) {
+  return [].concat(value === undefined ? [] : value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+// Date -> "YYYY-MM-DD HH:MM:SS", the format of SQLite's CURRENT_TIMESTAMP (UTC)
+function sqlTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// from/to parameter -> SQL timestamp; a day used as "to" means the end of that day
+function parseBound(value, isEnd) {
+  const text = String(value).trim();
+  const dayOnly = /^\d{4}-\d{2}-\d{2}$/.test(text);
+  const date = new Date(dayOnly ? `${text}T00:00:00Z` : text);
+  if (isNaN(date)) return null;
+  if (dayOnly && isEnd) date.setUTCDate(date.getUTCDate() + 1);
+  return sqlTimestamp(date);
+}
+
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.timestamp, row.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [timestamp, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return typeof timestamp === 'string' && Number.isInteger(id) ? { timestamp, id } : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Create the query helper of a table
+ * @param {Object} db - Open sqlite3 database
+ * @param {string} table - 'calls' or 'events'
+ * @returns {Object} - { ensureIndexes, run, setPageHeaders }
+ */
+function createRecordQuery(db, table) {
+  const filterColumns = TABLES[table];
+  if (!filterColumns) throw new Error(`Unknown table: ${table}`);
+
+  const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+
+  // Indexes for the newest-first pages and each filter (call inside db.serialize, after the added columns)
+  function ensureIndexes() {
+    db.run(`CREATE INDEX IF NOT EXISTS idx_${table}_timestamp ON ${table} (timestamp)`);
+    const columns = [...new Set([...Object.values(filterColumns), 'CALLER_E164', 'CALLER_ID_NUMBER'])];
+    columns.forEach(column => {
+      db.run(`CREATE INDEX IF NOT EXISTS idx_${table}_${column.toLowerCase()}_timestamp ON ${table} (${column}, timestamp)`);
+    });
+  }
+
+  /**
+   * Build the SQL of a query (throws 400 with .errors when a parameter is invalid)
+   * @param {Object} query - Query parameters (req.query)
+   * @param {string[]} tableColumns - Columns of the table, to check ?fields=
+   * @returns {Object} - { sql, params, limit }
+   */
+  function buildQuery(query, tableColumns) {
+    const errors = [];
+    const where = [];
+    const params = [];
+
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) errors.push(`limit must be a whole number from 1 to ${MAX_LIMIT}`);
+
+    if (query.cursor !== undefined) {
+      const cursor = decodeCursor(query.cursor);
+      if (!cursor) errors.push('cursor is not valid');
+      else {
+        where.push('(timestamp, id) < (?, ?)');
+        params.push(cursor.timestamp, cursor.id);
+      }
+    }
+
+    [['from', '>=', false], ['to', '<', true]].forEach(([name, operator, isEnd]) => {
+      if (query[name] === undefined || query[name] === '') return;
+      const bound = parseBound(query[name], isEnd);
+      if (!bound) return errors.push(`${name} must be a date (YYYY-MM-DD) or an ISO 8601 time`);
+      where.push(`timestamp ${operator} ?`);
+      params.push(bound);
+    });
+
+    Object.entries(filterColumns).forEach(([name, column]) => {
+      const values = listParam(query[name]);
+      if (!values.length) return;
+      where.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+      params.push(...values);
+    });
+
+    const callers = listParam(query.caller);
+    if (callers.length) {
+      const numbers = callers.map(value => parseCallerId(value).e164).filter(Boolean);
+      const conditions = [];
+      if (numbers.length) {
+        conditions.push(`CALLER_E164 IN (${numbers.map(() => '?').join(', ')})`);
+        params.push(...numbers);
+      }
+      conditions.push(`CALLER_ID_NUMBER IN (${callers.map(() => '?').join(', ')})`);
+      params.push(...callers);
+      where.push(`(${conditions.join(' OR ')})`);
+    }
+
+    let select = '*';
+    const fields = listParam(query.fields);
+    if (fields.length) {
+      const unknown = fields.filter(field => !tableColumns.includes(field));
+      if (unknown.length) errors.push(`Unknown fields: ${unknown.join(', ')} (available: ${tableColumns.join(', ')})`);
+      select = [...new Set(['id', 'timestamp', ...fields])].join(', ');
+    }
+
+    if (errors.length) throw httpError(400, errors.join('; '), errors);
+    return {
+      sql: `SELECT ${select} FROM ${table} ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY timestamp DESC, id DESC LIMIT ?`,
+      params: [...params, limit + 1], // One more row tells whether there is a next page
+      limit
+    };
+  }
+
+  /**
+   * Run a query
+   * @param {Object} query - Query parameters (req.query)
+   * @returns {Promise<Object>} - { rows, nextCursor } (nextCursor is null on the last page)
+   */
+  async function run(query = {}) {
+    const tableColumns = query.fields ? (await all(`PRAGMA table_info(${table})`)).map(column => column.name) : [];
+    const { sql, params, limit } = buildQuery(query, tableColumns);
+    const rows = await all(sql, params);
+    const more = rows.length > limit;
+    if (more) rows.pop();
+    return { rows, nextCursor: more ? encodeCursor(rows[rows.length - 1]) : null };
+  }
+
+  // X-Next-Cursor and Link (rel="next") headers of a page
+  function setPageHeaders(req, res, page) {
+    if (!page.nextCursor) return;
+    const url = new URL(req.originalUrl, 'http://localhost');
+    url.searchParams.set('cursor', page.nextCursor);
+    res.set('X-Next-Cursor', page.nextCursor);
+    res.set('Link', `<${url.pathname}${url.search}>; rel="next"`);
+  }
+
+  return { ensureIndexes, run, setPageHeaders };
+}
+
+module.exports = { createRecordQuery, parseBound, TABLES };
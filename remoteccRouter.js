@@ -0,0 +1,434 @@
+/*
+remoteccRouter.js
+Purpose: Routes for the GoTo Connect Remote Call Control node integration.
+- POST /remotecc: receives caller info from the dial plan, routes the call with the rules in routing.db
+  (routingRules.js), falling back to the area code index of statescodes.db (areaCodeIndex.js), and returns the extension
+  as plain text (for call rerouting). Secret/HMAC, address and PBX_ID checks per webhookAuth.js.
+  When routing fails or hangs, the call still gets the fallback extension (circuit breaker in routingHealth.js).
+- GET /events: events stored in remotecc_events.db for the dashboard (remotecc.html), newest first and paginated, with
+  date, state, extension, caller, dialed number and PBX_ID filters and ?fields= (recordQuery.js); FIELDS and
+  EXTRA_FIELDS hold the other dial plan variables (payloadFields.js)
+- GET/PUT /api/payload-fields: which extra variables /remotecc captures, under which name and type (changes require admin)
+- GET/POST /api/routing/rules, PUT/DELETE /api/routing/rules/:id: routing rules (changes require admin)
+- GET/POST /api/routing/holidays, DELETE /api/routing/holidays/:id: holiday calendars used by the rules and schedules
+- GET/POST /api/routing/schedules, PUT/DELETE /api/routing/schedules/:id: business hours per extension or state,
+  with the after-hours extension used while closed
+- GET/POST /api/routing/states, GET/PUT/DELETE /api/routing/states/:state: the area code table in statescodes.db
+  (?format=csv exports it; POST /api/routing/states/import loads a CSV; .../:state/area-codes adds or removes codes)
+- GET/POST /api/routing/simulate (GET /api/routing/preview): what /remotecc would answer for a caller, dialed number and
+  time, with the full rule trace; POST /api/routing/simulate/batch runs a CSV of calls (dashboard: routing-simulator.html)
+- GET /api/routing/distribution: calls per extension for states that spread calls over several extensions
+- GET/POST /api/routing/vip, GET/PUT/DELETE /api/routing/vip/:id: VIP numbers always sent to a fixed extension
+  (callerStickiness.js, which also sends returning callers back to their last extension when enabled)
+- GET /api/routing/area-code-index (POST .../reload): size, last reload and lookup timings of the area code index
+- GET /api/routing/health: circuit breaker state, area code index availability and fallback settings (503 when degraded)
+- GET /api/webhook-audit: rejected webhook requests (admin)
+- GET /api/retention, POST /api/retention/run: archive and purge of old events, rollup refresh (callRetention.js;
+  running requires admin). GET /api/rollups: hourly or daily event counts per state, extension or dialed number
+Mounted at /call-control by server.js, and at the root by RemoteCC.js.
+
+Main Functions:
+- createRemoteCCRouter(options): Returns an Express router; options.io is the Socket.IO server used for new_event updates.
+*/
+
+const express = require('express'); // Import Express framework
+const sqlite3 = require('sqlite3').verbose(); // Import SQLite3 for database
+const areaCodes = require('./areaCodes'); // Edit the area code table in statescodes.db
+const areaCodeIndex = require('./areaCodeIndex'); // In-memory area code lookups
+const { parseCallerId } = require('./callerId'); // Caller ID normalization (E.164, area code, ...)
+const { createDistributor } = require('./callDistribution'); // Spread a state's calls over its extensions
+const { createStickiness } = require('./callerStickiness'); // VIP overrides and returning callers
+const { requireRole } = require('./localAuth'); // Admin-only rule changes
+const { createWebhookGuard, keepRawBody, redactHeaders } = require('./webhookAuth'); // Verify the dial-plan webhook
+const payloadFields = require('./payloadFields'); // Declared and unknown dial plan variables
+const { createRecordQuery } = require('./recordQuery'); // Paginated, filtered GET /events
+const { createRetention } = require('./callRetention'); // Rollups, archive and purge of old events
+const { config } = require('./config'); // Fallback settings shown by the health endpoint
+const { createRoutingEngine, describeMatch, fallbackFor } = require('./routingRules'); // Prioritized routing rules
+const { createCircuitBreaker } = require('./routingHealth'); // Keep answering calls when routing fails
+const { simulate, simulateCsv, resultsToCsv } = require('./routingSimulation'); // Dry runs for the simulator
+
+// Paths that GoTo Connect calls without a login (relative to the mount point)
+const WEBHOOK_PATHS = ['/remotecc'];
+
+/**
+ * Create the router
+ * @param {Object} options
+ * @param {Object} options.io - Socket.IO server for live dashboard updates
+ * @returns {Object} - Express router
+ */
+function createRemoteCCRouter(options) {
+    const { io } = options;
+    const router = express.Router();
+    router.use(express.json({ verify: keepRawBody })); // Parse JSON bodies (raw body kept for HMAC signatures)
+    router.use(express.urlencoded({ extended: true, verify: keepRawBody })); // Parse URL-encoded bodies
+
+    // Initialize SQLite DB and create events table if not exists
+    const db = new sqlite3.Database('./remotecc_events.db');
+    db.run(`CREATE TABLE IF NOT EXISTS events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        PBX_ID TEXT,
+        CALL_ID TEXT,
+        CALLER_ID_NAME TEXT,
+        CALLER_ID_NUMBER TEXT,
+        DIALED_NUMBER TEXT,
+        AREA_CODE TEXT,
+        MATCHED_STATE TEXT,
+        MATCHED_EXTENSION TEXT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    // Columns added after the first release: routing rule and source that decided the call, normalized caller ID
+    // and the other dial plan variables as JSON
+    const addedColumns = ['MATCHED_RULE', 'CALLER_E164', 'CALLER_TYPE', 'ROUTING_SOURCE', 'FIELDS', 'EXTRA_FIELDS'];
+    db.all('PRAGMA table_info(events)', (err, columns) => {
+        if (err) return;
+        db.serialize(() => {
+            addedColumns
+                .filter(name => !columns.some(column => column.name === name))
+                .forEach(name => db.run(`ALTER TABLE events ADD COLUMN ${name} TEXT`));
+            // Last call of a caller (returning-caller stickiness)
+            db.run('CREATE INDEX IF NOT EXISTS idx_events_caller ON events (CALLER_E164, timestamp)');
+            eventsQuery.ensureIndexes(); // Pages and filters of GET /events
+        });
+    });
+    const eventsQuery = createRecordQuery(db, 'events');
+    const retention = createRetention(db, 'events'); // Hourly/daily rollups, then archive and delete expired events
+    retention.schedule(); // Only when CALL_RETENTION_ENABLED is set
+
+    // Rules are evaluated per call; the area code lookup is the default when no rule matches
+    areaCodeIndex.watch(); // Load statescodes.db and reload it when it changes
+    const distributor = createDistributor(db); // Assignment state lives in remotecc_events.db
+    const stickiness = createStickiness(db); // VIP overrides and last extensions, checked before the rules
+    const routing = createRoutingEngine({ lookupAreaCode: areaCodeIndex.lookup, distribute: distributor.pick, findCaller: stickiness.find });
+    const breaker = createCircuitBreaker({ name: 'routing' }); // Opens after repeated failures and alerts
+
+    const webhookGuard = createWebhookGuard(db, 'remotecc'); // Rejections are recorded in remotecc_events.db (webhook_audit)
+
+    // POST /remotecc endpoint for GoTo Connect Remote Call Control node
+    router.post('/remotecc', webhookGuard.verify('/remotecc'), (req, res) => {
+        console.log('Received POST /remotecc'); // Debug: log entry into handler
+        // Extract call data from POST body (renamed and extra variables per payload-fields.json)
+        const payload = payloadFields.mapPayload('remotecc', req.body);
+        const { PBX_ID, CALL_ID, CALLER_ID_NAME, CALLER_ID_NUMBER, DIALED_NUMBER } = payload.values;
+        if (payload.warnings.length) console.warn('Payload fields:', payload.warnings.join('; ')); // Log values that do not fit their type
+        const caller = parseCallerId(CALLER_ID_NUMBER); // E.164, area code, anonymous, ...
+        const AREA_CODE = caller.areaCode || ''; // NANP area code used for routing
+        // Route the call (VIP and returning callers, rules, area code, then the fallback extension; after hours per schedule)
+        const call = { PBX_ID, CALLER_ID_NUMBER, DIALED_NUMBER, AREA_CODE, caller };
+        breaker.run(() => routing.route(call)).catch(err => degradedRoute(call, err)).then((result) => {
+            const eventObj = {
+                PBX_ID,
+                CALL_ID,
+                CALLER_ID_NAME,
+                CALLER_ID_NUMBER,
+                DIALED_NUMBER,
+                AREA_CODE,
+                CALLER_E164: caller.e164,
+                CALLER_TYPE: caller.type,
+                MATCHED_STATE: result.state || null,
+                MATCHED_EXTENSION: result.extension || null,
+                MATCHED_RULE: describeMatch(result),
+                ROUTING_SOURCE: result.source || null,
+                FIELDS: payload.fields,
+                EXTRA_FIELDS: payload.extra
+            };
+            // Log request and lookup result
+            console.log('--- Incoming RemoteCC POST ---'); // Log POST
+            console.log('Headers:', redactHeaders(req.headers)); // Log headers (secret, signature, cookie and API key hidden)
+            console.log('Body:', eventObj); // Log body
+            if (caller.reason) console.log('Caller ID:', caller.type, caller.reason); // Log why there is no area code
+            if (result.trace) console.log('Routing:', result.source, result.trace); // Log rule evaluation
+            // Store event in database
+            db.run(
+                `INSERT INTO events (PBX_ID, CALL_ID, CALLER_ID_NAME, CALLER_ID_NUMBER, DIALED_NUMBER, AREA_CODE, CALLER_E164, CALLER_TYPE, MATCHED_STATE, MATCHED_EXTENSION, MATCHED_RULE, ROUTING_SOURCE, FIELDS, EXTRA_FIELDS) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [PBX_ID, CALL_ID, CALLER_ID_NAME, CALLER_ID_NUMBER, DIALED_NUMBER, AREA_CODE, caller.e164, caller.type, eventObj.MATCHED_STATE, eventObj.MATCHED_EXTENSION, eventObj.MATCHED_RULE, eventObj.ROUTING_SOURCE, JSON.stringify(payload.fields), JSON.stringify(payload.extra)],
+                err => { if (err) console.error('Could not store the RemoteCC event:', err.message); } // Log error
+            );
+            // Emit event to frontend via WebSocket
+            io.emit('new_event', eventObj);
+            // Respond with extension number (plain text, no quotes)
+            if (eventObj.MATCHED_EXTENSION) {
+                res.status(200).send(String(eventObj.MATCHED_EXTENSION)); // Return extension for call routing
+            } else {
+                res.status(200).send(''); // No match, empty response triggers failover
+            }
+        }).catch(err => {
+            // The dial plan still gets an answer when handling the result fails
+            console.error('RemoteCC handler failed, answering with the fallback:', err); // Log error
+            if (res.headersSent) return;
+            const fallback = fallbackFor(DIALED_NUMBER);
+            res.status(200).send(fallback ? String(fallback.extension) : '');
+        });
+    });
+
+    // REST API endpoint to fetch events (?limit=, ?cursor=, ?from=, ?to=, ?state=, ?extension=, ?caller=, ?dialed=, ?pbx=, ?fields=)
+    router.get('/events', (req, res) => {
+        eventsQuery.run(req.query).then(page => {
+            eventsQuery.setPageHeaders(req, res, page); // X-Next-Cursor / Link when there are older events
+            res.json(page.rows.map(payloadFields.parseJsonColumns)); // FIELDS / EXTRA_FIELDS as objects
+        }).catch(err => res.status(err.status || 500).json({ error: err.message, errors: err.errors })); // Bad parameters or DB error
+    });
+
+    // Routing rules API (viewers can read, admins can change)
+    const sendError = (res, err) => res.status(err.status || 500).json({ error: err.message, errors: err.errors });
+
+    // Extra dial plan variables captured by /remotecc: [{ source, name, type }]
+    router.get('/api/payload-fields', (req, res) => {
+        res.json({ builtIn: payloadFields.BUILT_IN.remotecc, types: payloadFields.TYPES, fields: payloadFields.getFields('remotecc') });
+    });
+
+    router.put('/api/payload-fields', requireRole('admin'), (req, res) => {
+        try {
+            const body = req.body || {};
+            res.json({ fields: payloadFields.saveFields('remotecc', Array.isArray(body) ? body : body.fields) });
+        } catch (err) {
+            sendError(res, err);
+        }
+    });
+
+    router.get('/api/routing/rules', (req, res) => {
+        routing.listRules().then(rules => res.json(rules)).catch(err => sendError(res, err));
+    });
+
+    router.post('/api/routing/rules', requireRole('admin'), (req, res) => {
+        routing.createRule(req.body || {}).then(rule => res.status(201).json(rule)).catch(err => sendError(res, err));
+    });
+
+    router.put('/api/routing/rules/:id', requireRole('admin'), (req, res) => {
+        routing.updateRule(req.params.id, req.body || {}).then(rule => {
+            if (!rule) return res.status(404).json({ error: 'Rule not found' });
+            res.json(rule);
+        }).catch(err => sendError(res, err));
+    });
+
+    router.delete('/api/routing/rules/:id', requireRole('admin'), (req, res) => {
+        routing.deleteRule(req.params.id).then(deleted => {
+            if (!deleted) return res.status(404).json({ error: 'Rule not found' });
+            res.json({ success: true });
+        }).catch(err => sendError(res, err));
+    });
+
+    router.get('/api/routing/holidays', (req, res) => {
+        routing.listHolidays(req.query.calendar).then(holidays => res.json(holidays)).catch(err => sendError(res, err));
+    });
+
+    router.post('/api/routing/holidays', requireRole('admin'), (req, res) => {
+        routing.addHoliday(req.body || {}).then(holiday => res.status(201).json(holiday)).catch(err => sendError(res, err));
+    });
+
+    router.delete('/api/routing/holidays/:id', requireRole('admin'), (req, res) => {
+        routing.deleteHoliday(req.params.id).then(deleted => {
+            if (!deleted) return res.status(404).json({ error: 'Holiday not found' });
+            res.json({ success: true });
+        }).catch(err => sendError(res, err));
+    });
+
+    router.get('/api/routing/schedules', (req, res) => {
+        const date = req.query.at ? new Date(req.query.at) : new Date(); // ?at= to check another moment
+        if (isNaN(date)) return res.status(400).json({ error: 'Invalid at= date' });
+        routing.listSchedules(date).then(schedules => res.json(schedules)).catch(err => sendError(res, err));
+    });
+
+    router.post('/api/routing/schedules', requireRole('admin'), (req, res) => {
+        routing.createSchedule(req.body || {}).then(schedule => res.status(201).json(schedule)).catch(err => sendError(res, err));
+    });
+
+    router.put('/api/routing/schedules/:id', requireRole('admin'), (req, res) => {
+        routing.updateSchedule(req.params.id, req.body || {}).then(schedule => {
+            if (!schedule) return res.status(404).json({ error: 'Schedule not found' });
+            res.json(schedule);
+        }).catch(err => sendError(res, err));
+    });
+
+    router.delete('/api/routing/schedules/:id', requireRole('admin'), (req, res) => {
+        routing.deleteSchedule(req.params.id).then(deleted => {
+            if (!deleted) return res.status(404).json({ error: 'Schedule not found' });
+            res.json({ success: true });
+        }).catch(err => sendError(res, err));
+    });
+
+    // Area code table (statescodes.db); calls are looked up in the in-memory areaCodeIndex.js, which reloads when the file changes
+    router.get('/api/routing/states', (req, res) => {
+        if (req.query.format === 'csv') {
+            return areaCodes.exportCsv().then(csv => {
+                res.setHeader('Content-Type', 'text/csv');
+                res.setHeader('Content-Disposition', 'attachment; filename="statescodes.csv"');
+                res.send(csv);
+            }).catch(err => sendError(res, err));
+        }
+        areaCodes.listStates().then(states => res.json(states)).catch(err => sendError(res, err));
+    });
+
+    // Import a CSV (text/csv body, or JSON { csv }); ?mode=replace replaces the whole table
+    router.post('/api/routing/states/import', requireRole('admin'), express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), (req, res) => {
+        const csv = typeof req.body === 'string' ? req.body : (req.body || {}).csv;
+        areaCodes.importCsv(csv, req.query.mode || (req.body || {}).mode || 'merge').then(result => res.json(result)).catch(err => sendError(res, err));
+    });
+
+    router.post('/api/routing/states', requireRole('admin'), (req, res) => {
+        areaCodes.createState(req.body || {}).then(state => res.status(201).json(state)).catch(err => sendError(res, err));
+    });
+
+    router.get('/api/routing/states/:state', (req, res) => {
+        areaCodes.getState(req.params.state).then(state => {
+            if (!state) return res.status(404).json({ error: 'State not found' });
+            res.json(state);
+        }).catch(err => sendError(res, err));
+    });
+
+    router.put('/api/routing/states/:state', requireRole('admin'), (req, res) => {
+        areaCodes.updateState(req.params.state, req.body || {}).then(state => {
+            if (!state) return res.status(404).json({ error: 'State not found' });
+            res.json(state);
+        }).catch(err => sendError(res, err));
+    });
+
+    router.delete('/api/routing/states/:state', requireRole('admin'), (req, res) => {
+        areaCodes.deleteState(req.params.state).then(deleted => {
+            if (!deleted) return res.status(404).json({ error: 'State not found' });
+            res.json({ success: true });
+        }).catch(err => sendError(res, err));
+    });
+
+    router.post('/api/routing/states/:state/area-codes', requireRole('admin'), (req, res) => {
+        areaCodes.addAreaCode(req.params.state, (req.body || {}).areaCode || '').then(state => {
+            if (!state) return res.status(404).json({ error: 'State not found' });
+            res.json(state);
+        }).catch(err => sendError(res, err));
+    });
+
+    router.delete('/api/routing/states/:state/area-codes/:areaCode', requireRole('admin'), (req, res) => {
+        areaCodes.removeAreaCode(req.params.state, req.params.areaCode).then(state => {
+            if (!state) return res.status(404).json({ error: 'State not found' });
+            res.json(state);
+        }).catch(err => sendError(res, err));
+    });
+
+    // Simulate a call (?caller=, optional ?dialed=, ?pbx=, ?at=, or the same fields as JSON) without storing an event:
+    // what /remotecc would answer, the matched rule and the full trace. /preview is the older name.
+    const simulateRoute = (req, res) => {
+        const input = req.method === 'POST' ? (req.body || {}) : req.query;
+        simulate(routing, { caller: input.caller, dialed: input.dialed, pbx: input.pbx, at: input.at })
+            .then(result => res.json(result)).catch(err => sendError(res, err));
+    };
+    router.get('/api/routing/simulate', simulateRoute);
+    router.post('/api/routing/simulate', simulateRoute);
+    router.get('/api/routing/preview', simulateRoute);
+
+    // Simulate a CSV of calls (text/csv body, or JSON { csv }); ?at= for lines without a time, ?format=csv to download
+    router.post('/api/routing/simulate/batch', express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), (req, res) => {
+        const csv = typeof req.body === 'string' ? req.body : (req.body || {}).csv;
+        simulateCsv(routing, csv, { at: req.query.at, trace: req.query.trace === 'true' }).then(batch => {
+            if (req.query.format !== 'csv') return res.json(batch);
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', 'attachment; filename="routing-simulation.csv"');
+            res.send(resultsToCsv(batch.results));
+        }).catch(err => sendError(res, err));
+    });
+
+    // Calls routed to each extension of the states with several extensions (?state= for one state)
+    router.get('/api/routing/distribution', (req, res) => {
+        distributor.getStatus(req.query.state).then(status => res.json(status)).catch(err => sendError(res, err));
+    });
+
+    // VIP overrides: numbers that always go to the same extension (viewers can read, admins can change)
+    router.get('/api/routing/vip', (req, res) => {
+        stickiness.listOverrides().then(overrides => res.json(overrides)).catch(err => sendError(res, err));
+    });
+
+    router.post('/api/routing/vip', requireRole('admin'), (req, res) => {
+        stickiness.createOverride(req.body || {}).then(override => res.status(201).json(override)).catch(err => sendError(res, err));
+    });
+
+    router.get('/api/routing/vip/:id', (req, res) => {
+        stickiness.getOverride(req.params.id).then(override => {
+            if (!override) return res.status(404).json({ error: 'VIP override not found' });
+            res.json(override);
+        }).catch(err => sendError(res, err));
+    });
+
+    router.put('/api/routing/vip/:id', requireRole('admin'), (req, res) => {
+        stickiness.updateOverride(req.params.id, req.body || {}).then(override => {
+            if (!override) return res.status(404).json({ error: 'VIP override not found' });
+            res.json(override);
+        }).catch(err => sendError(res, err));
+    });
+
+    router.delete('/api/routing/vip/:id', requireRole('admin'), (req, res) => {
+        stickiness.deleteOverride(req.params.id).then(deleted => {
+            if (!deleted) return res.status(404).json({ error: 'VIP override not found' });
+            res.json({ success: true });
+        }).catch(err => sendError(res, err));
+    });
+
+    // Area code index: size, last reload and lookup timings
+    router.get('/api/routing/area-code-index', (req, res) => {
+        res.json(areaCodeIndex.getStats());
+    });
+
+    // Rebuild the area code index now (it also reloads by itself when statescodes.db changes)
+    router.post('/api/routing/area-code-index/reload', requireRole('admin'), (req, res) => {
+        areaCodeIndex.reload('requested').then(() => res.json(areaCodeIndex.getStats())).catch(err => sendError(res, err));
+    });
+
+    // Routing health for monitoring: 503 while the breaker is open or the area code index is unavailable
+    router.get('/api/routing/health', (req, res) => {
+        const breakerStatus = breaker.getStatus();
+        const index = areaCodeIndex.getStats();
+        const degraded = breakerStatus.state !== 'closed' || !index.available;
+        res.status(degraded ? 503 : 200).json({
+            status: degraded ? 'degraded' : 'ok',
+            breaker: breakerStatus,
+            areaCodeIndex: { available: index.available, areaCodes: index.areaCodes, lastReload: index.lastReload },
+            fallback: { extension: config.ROUTING_FALLBACK_EXTENSION || null, byDialed: config.ROUTING_FALLBACK_BY_DIALED }
+        });
+    });
+
+    // Rejected webhook requests (?limit=, default 100)
+    router.get('/api/webhook-audit', requireRole('admin'), (req, res) => {
+        webhookGuard.listRejections({ limit: req.query.limit }).then(rows => res.json(rows)).catch(err => sendError(res, err));
+    });
+
+    // Retention settings and latest runs; POST .../run rolls up, archives and purges now (?days= overrides the setting)
+    router.get('/api/retention', (req, res) => {
+        retention.getStatus().then(status => res.json(status)).catch(err => sendError(res, err));
+    });
+
+    router.post('/api/retention/run', requireRole('admin'), (req, res) => {
+        retention.run({ days: req.query.days }).then(result => res.json(result)).catch(err => sendError(res, err));
+    });
+
+    // Long-term trends (?period=hourly|daily, ?dimension=total|state|extension|dialed, ?value=, ?from=, ?to=)
+    router.get('/api/rollups', (req, res) => {
+        retention.listRollups(req.query).then(rows => res.json(rows)).catch(err => sendError(res, err));
+    });
+
+    // Health check endpoint
+    router.get('/', (req, res) => {
+        res.send('GoTo Connect Remote Call Control listener is running.'); // Health check response
+    });
+
+    return router;
+}
+
+/**
+ * Answer for a call whose routing failed or was skipped by the open breaker:
+ * the area code index when it still works, else the fallback extension of the dialed number
+ * @param {Object} call - { PBX_ID, CALLER_ID_NUMBER, DIALED_NUMBER, AREA_CODE, caller }
+ * @param {Error} err - Why routing failed
+ * @returns {Promise<Object>} - Routing result with source 'degraded'
+ */
+async function degradedRoute(call, err) {
+    console.error('Routing failed, answering with the fallback:', err.message); // Log error
+    const trace = [{ step: 'degraded', error: err.message }];
+    const match = await areaCodeIndex.lookup(call.AREA_CODE).catch(() => null);
+    if (match && match.extension) {
+        trace.push({ step: 'area_code', areaCode: call.AREA_CODE, match: { state: match.state, extension: match.extension } });
+        return { extension: String(match.extension), state: match.state, rule: null, source: 'degraded', error: err.message, trace };
+    }
+    const fallback = fallbackFor(call.DIALED_NUMBER);
+    trace.push({ step: 'fallback', extension: fallback ? fallback.extension : null, dialed: fallback ? fallback.dialed : null });
+    return { extension: fallback ? fallback.extension : null, state: null, rule: null, source: 'degraded', error: err.message, trace };
+}
+
+module.exports = { WEBHOOK_PATHS, createRemoteCCRouter };
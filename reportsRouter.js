@@ -0,0 +1,158 @@
+/**
+ * reportsRouter.js
+ *
+ * Report routes: the GoTo user activity report (UReport.html) and the extension lists used by Ext.html
+ * and AllExt.html. Mounted at /reports by server.js, and at the root by getTokenServer.js, Extensions.js
+ * and AllExt.js.
+ *
+ * Main Functions:
+ * - createReportsRouter(options): Returns an Express router with the routes below.
+ *
+ * Routes:
+ * - GET /api/user-activity          Proxy to the Call Reports user-activity report
+ * - GET /api/extensions-list        Extensions whose voicemail messages carry an accountKey
+ * - GET /api/extension-accountkey   accountKey and recent voicemail messages for one extension
+ */
+
+const express = require('express'); // For express.Router
+const { GoToClient } = require('./gotoClient'); // GoTo API calls with retries and pagination
+
+// OAuth scope needed by these routes (extension lists are read from the Voicemail API)
+const SCOPE = 'cr.v1.read voicemail.v1.voicemails.read';
+
+/**
+ * Create the reports router
+ * @param {Object} options
+ * @param {Object} options.tenants - Tenant registry from tenants.js
+ * @returns {Object} - Express router
+ */
+function createReportsRouter(options) {
+  const { tenants } = options;
+  const router = express.Router();
+
+  // Proxy endpoint for UReport.html to call
+  router.get('/api/user-activity', async (req, res) => {
+    const tokens = tenants.forOrg(tenants.resolveOrg(req)); // Token set for the selected org
+    // Managed token of the org (the UI never sends one)
+    const accessToken = await tokens.getValidAccessToken(); // Get token
+    if (!accessToken) {
+      return res.status(401).json({ error: 'No access token. Please authenticate first.' }); // Error if missing
+    }
+    // Only forward the required params in the curl format
+    const { startTime, endTime, organizationId, page, pageSize, q, userIds, sort } = req.query; // Extract params
+    // Build params for GoTo API
+    const gotoParams = { startTime, endTime, organizationId }; // Required params
+    if (page !== undefined) gotoParams.page = page; // Optional params
+    if (pageSize !== undefined) gotoParams.pageSize = pageSize;
+    if (q !== undefined) gotoParams.q = q;
+    if (userIds !== undefined) gotoParams.userIds = userIds;
+    if (sort !== undefined) gotoParams.sort = sort;
+    const api = new GoToClient({ tokens }); // Managed token, refreshed on 401
+    try {
+      // Debug: Log outgoing request params
+      console.log('Proxying to GoTo API: user-activity report'); // Log endpoint
+      console.log('Params:', gotoParams); // Log params
+      // Make request to GoTo API
+      const data = await api.getUserActivityReport(gotoParams);
+      // Debug: Log GoTo API response
+      console.log('GoTo API response:', JSON.stringify(data).slice(0, 500)); // Log response
+      // Return API response to frontend
+      res.json(data); // Send data to UI
+    } catch (error) {
+      // Log error and return error details to frontend
+      console.error('GoTo API error:', error.message, error.response?.data); // Log error
+      res.status(error.response?.status || 500).json({ error: error.message, details: error.response?.data }); // Error response
+    }
+  });
+
+  // Endpoint to fetch all extensions with valid accountKeys (Ext.html / AllExt.html dropdowns)
+  router.get('/api/extensions-list', async (req, res) => {
+    const organizationId = tenants.resolveOrg(req);
+    const tokens = tenants.forOrg(organizationId); // Token set for the selected org
+    const accessToken = await tokens.getValidAccessToken(); // Managed (auto-refreshed) token
+    if (!accessToken || !organizationId) {
+      return res.status(400).json({ error: 'Missing access token or organization ID.' });
+    }
+    const api = new GoToClient({ tokens }); // Managed token refreshes on 401
+    try {
+      // Step 1: Fetch all voicemailboxes (every page)
+      const voicemailboxes = await api.getAllVoicemailboxes({ organizationId });
+      // Step 2: For each voicemailbox, fetch messages and check for accountKey
+      const validExtensions = [];
+      for (const box of voicemailboxes) {
+        try {
+          const messages = await api.listVoicemails(box.voicemailboxId, { pageSize: 1 });
+          const message = (messages.items || [])[0];
+          if (message && message.accountKey) {
+            validExtensions.push({
+              extensionNumber: box.extensionNumber,
+              voicemailboxId: box.voicemailboxId,
+              accountKey: message.accountKey,
+              extensionName: box.extensionName || box.name || message.extensionName || ''
+            });
+          }
+        } catch (err) {
+          // Ignore errors for individual boxes
+        }
+      }
+      // Debug output to console
+      console.log('[DEBUG] Extensions fetched (with valid accountKey):', validExtensions.map(e => e.extensionNumber).join(', '));
+      res.json({ extensions: validExtensions });
+    } catch (error) {
+      console.error('[DEBUG] Error fetching extensions:', error.message, error.response?.data);
+      res.status(error.response?.status || 500).json({ error: error.message, details: error.response?.data });
+    }
+  });
+
+  // Endpoint to fetch the accountKey (and recent messages) for a given extension number
+  router.get('/api/extension-accountkey', async (req, res) => {
+    const tokens = tenants.forOrg(tenants.resolveOrg(req)); // Token set for the selected org
+    const accessToken = await tokens.getValidAccessToken();
+    const organizationId = tenants.resolveOrg(req);
+    const extensionNumber = req.query.extensionNumber;
+    if (!accessToken || !organizationId || !extensionNumber) {
+      return res.status(400).json({ error: 'Missing access token, organization ID, or extension number.' });
+    }
+    const api = new GoToClient({ tokens });
+    try {
+      // Step 1: Fetch voicemailboxes for the extension
+      const vmboxes = await api.listVoicemailboxes({ organizationId, extensionNumber });
+      const vmbox = (vmboxes.items || []).find(box => box.extensionNumber === extensionNumber);
+      if (!vmbox) {
+        return res.status(404).json({ error: 'No voicemailbox found for this extension.' });
+      }
+      // Step 2: Fetch multiple voicemail messages for the voicemailboxId
+      const messagesResp = await api.listVoicemails(vmbox.voicemailboxId, { pageSize: 50 });
+      const messages = messagesResp.items || [];
+      // Debug output for first report table (main fields)
+      if (messages.length) {
+        const mainFields = Object.keys(messages[0]).filter(k => !['voicemailId','voicemailboxId','organizationId','accountKey','legId','createdAt','callerId','audioUrl','transcription','folder','readAt','deletedAt','tags','direction'].includes(k));
+        console.log('[DEBUG] First report table fields:', mainFields);
+        messages.forEach((msg, idx) => {
+          console.log(`[DEBUG] First report row ${idx}:`, mainFields.map(k => `${k}: ${msg[k]}`));
+        });
+        // Debug output for second report table (extra fields)
+        const extraFields = ['createdAt','callerId','audioUrl','transcription','folder','readAt','deletedAt','tags','direction'];
+        console.log('[DEBUG] Second report table fields:', extraFields);
+        messages.forEach((msg, idx) => {
+          console.log(`[DEBUG] Second report row ${idx}:`, extraFields.map(k => `${k}: ${msg[k]}`));
+        });
+      } else {
+        console.log('[DEBUG] No messages found for extension', extensionNumber);
+      }
+      res.json({
+        extensionNumber,
+        voicemailboxId: vmbox.voicemailboxId,
+        accountKey: messages.length ? messages[0].accountKey : null,
+        messages: messages
+      });
+    } catch (error) {
+      console.error('[DEBUG] Error fetching accountKey:', error.message, error.response?.data);
+      res.status(error.response?.status || 500).json({ error: error.message, details: error.response?.data });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { SCOPE, createReportsRouter };
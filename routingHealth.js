@@ -0,0 +1,141 @@
+/**
+ * routingHealth.js
+ *
+ * Keeps the Remote Call Control webhook answering when routing breaks (routing.db or statescodes.db cannot be read,
+ * or a decision hangs). remoteccRouter.js runs every routing decision through a circuit breaker:
+ * - closed: decisions run normally; a decision that fails or takes longer than ROUTING_TIMEOUT_MS counts as a failure
+ * - open: after ROUTING_BREAKER_THRESHOLD failures in a row, decisions are skipped for ROUTING_BREAKER_RESET_SECONDS
+ *   and calls get the fallback extension straight away (fallbackFor() in routingRules.js)
+ * - half_open: after that pause one call tries routing again; success closes the breaker, failure opens it again
+ * Opening and closing the breaker raise an alert: a "[routing alert]" log line, and a JSON POST to
+ * ROUTING_ALERT_WEBHOOK when it is set (e.g. a Slack or Teams incoming webhook relay).
+ *
+ * Main Functions:
+ * - createCircuitBreaker(options): Returns { run(task), getStatus() }.
+ * - sendAlert(event, details): Log an alert and POST it to ROUTING_ALERT_WEBHOOK.
+ */
+
+const axios = require('axios'); // Alert webhook
+const { config } = require('./config'); // ROUTING_TIMEOUT_MS, ROUTING_BREAKER_*, ROUTING_ALERT_WEBHOOK
+
+/**
+ * Log an alert and send it to ROUTING_ALERT_WEBHOOK (failures to send are only logged)
+ * @param {string} event - e.g. 'routing_degraded' or 'routing_recovered'
+ * @param {Object} details - Extra fields of the alert
+ * @returns {Promise<void>}
+ */
+async function sendAlert(event, details = {}) {
+  const alert = { event, at: new Date().toISOString(), ...details };
+  console.error(`[routing alert] ${event}:`, JSON.stringify(details));
+  if (!config.ROUTING_ALERT_WEBHOOK) return;
+  try {
+    await axios.post(config.ROUTING_ALERT_WEBHOOK, { ...alert, text: `Call routing ${event.replace(/^routing_/, '')}: ${details.reason || ''}`.trim() }, { timeout: 5000 });
+  } catch (err) {
+    console.error('Could not send the routing alert:', err.message);
+  }
+}
+
+/**
+ * Create a circuit breaker
+ * @param {Object} [options]
+ * @param {string} [options.name] - Shown in alerts and the status (default 'routing')
+ * @param {number} [options.threshold] - Failures in a row that open the breaker (default ROUTING_BREAKER_THRESHOLD)
+ * @param {number} [options.resetMs] - How long the breaker stays open (default ROUTING_BREAKER_RESET_SECONDS)
+ * @param {number} [options.timeoutMs] - Longest a task may take (default ROUTING_TIMEOUT_MS)
+ * @param {Function} [options.onAlert] - (event, details) called on state changes (default sendAlert)
+ * @returns {Object} - { run, getStatus }
+ */
+function createCircuitBreaker(options = {}) {
+  const name = options.name || 'routing';
+  const threshold = Math.max(1, options.threshold || config.ROUTING_BREAKER_THRESHOLD);
+  const resetMs = options.resetMs || config.ROUTING_BREAKER_RESET_SECONDS * 1000;
+  const timeoutMs = options.timeoutMs || config.ROUTING_TIMEOUT_MS;
+  const onAlert = options.onAlert || sendAlert;
+
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialRunning = false;
+  const counts = { succeeded: 0, failed: 0, skipped: 0 };
+  let lastError = null; // { message, at }
+
+  // Reject when a task takes longer than timeoutMs
+  function withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`${name} took longer than ${timeoutMs} ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  function succeeded() {
+    counts.succeeded++;
+    consecutiveFailures = 0;
+    if (state !== 'closed') {
+      const downMs = Date.now() - openedAt;
+      state = 'closed';
+      openedAt = null;
+      onAlert(`${name}_recovered`, { breaker: name, reason: 'routing works again', downSeconds: Math.round(downMs / 1000) });
+    }
+  }
+
+  function failed(err) {
+    counts.failed++;
+    consecutiveFailures++;
+    lastError = { message: err.message, at: new Date().toISOString() };
+    if (state === 'half_open' || (state === 'closed' && consecutiveFailures >= threshold)) {
+      const wasClosed = state === 'closed';
+      state = 'open';
+      openedAt = wasClosed ? Date.now() : openedAt;
+      if (wasClosed) onAlert(`${name}_degraded`, { breaker: name, reason: err.message, failures: consecutiveFailures, retryInSeconds: resetMs / 1000 });
+    }
+  }
+
+  /**
+   * Run a task through the breaker
+   * @param {Function} task - () => Promise
+   * @returns {Promise} - The task's result; rejects when it fails, times out or the breaker is open
+   */
+  async function run(task) {
+    if (state === 'open' || (state === 'half_open' && trialRunning)) {
+      const retryAt = (lastError ? Date.parse(lastError.at) : openedAt) + resetMs;
+      if (Date.now() < retryAt || trialRunning) {
+        counts.skipped++;
+        throw new Error(`${name} circuit breaker is open (${lastError ? lastError.message : 'failing'})`);
+      }
+      state = 'half_open';
+    }
+    const trial = state === 'half_open';
+    if (trial) trialRunning = true;
+    try {
+      const result = await withTimeout(Promise.resolve().then(task));
+      succeeded();
+      return result;
+    } catch (err) {
+      failed(err);
+      throw err;
+    } finally {
+      if (trial) trialRunning = false;
+    }
+  }
+
+  // State and counters for the health endpoint
+  function getStatus() {
+    const retryAt = state === 'closed' ? null : new Date((lastError ? Date.parse(lastError.at) : openedAt) + resetMs).toISOString();
+    return {
+      name,
+      state,
+      consecutiveFailures,
+      threshold,
+      timeoutMs,
+      openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+      retryAt,
+      lastError,
+      ...counts
+    };
+  }
+
+  return { run, getStatus };
+}
+
+module.exports = { createCircuitBreaker, sendAlert };
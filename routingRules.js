@@ -0,0 +1,698 @@
+/**
+ * routingRules.js
+ *
+ * Rule-based routing for the Remote Call Control webhook (remoteccRouter.js).
+ * Rules are stored in routing.db (next to statescodes.db) and evaluated on every call, lowest priority
+ * number first. The first enabled rule whose conditions all match decides the call:
+ * - action "extension": send the call to the rule's extension
+ * - action "area_code": look the caller's area code up in statescodes.db, and use the rule's extension
+ *   as the fallback when the area code has no match (the global fallback below when the rule has none)
+ * When no rule matches, the area code lookup is used as before, then the fallback: the extension of the dialed number in
+ * ROUTING_FALLBACK_BY_DIALED ("8005551212:2000,..."), else ROUTING_FALLBACK_EXTENSION. remoteccRouter.js uses the same
+ * fallback when routing itself fails (see routingHealth.js).
+ * Before the rules, options.findCaller (callerStickiness.js) can send a known caller straight to an extension:
+ * a VIP override, or the extension of the caller's last call when stickiness is enabled.
+ * A state with several extensions (Extensions column, see areaCodes.js) has its calls spread over them by
+ * options.distribute (callDistribution.js).
+ * Business-hours schedules then decide whether the chosen extension (or the matched state) is open; when it is
+ * closed, the call goes to the schedule's after-hours extension instead (e.g. an answering service).
+ *
+ * Rule conditions (empty = any):
+ * - dialed_pattern / caller_pattern: comma-separated number patterns compared with the digits of
+ *   DIALED_NUMBER / CALLER_ID_NUMBER. "*" matches any digits, "X" or "?" one digit, e.g. "1562*,*5551234".
+ *   A pattern written as /regex/ is tested against the raw value instead (e.g. /^anonymous$/i). It is compiled once,
+ *   when the rule is saved or loaded. To keep backtracking small it is limited to a subset: at most MAX_REGEX_LENGTH
+ *   characters, no back-references, and a repeated group may not contain a quantifier or "|" (so "(a+)+" and
+ *   "(a|aa)+" are rejected). Values longer than MAX_PATTERN_INPUT characters never match a pattern.
+ *   Caller IDs are compared in E.164 digits when callerId.js could normalize them, so "1312*" matches
+ *   "(312) 555-0100" as well as "+13125550100".
+ * - pbx_id: exact PBX_ID
+ * - days: weekdays such as "mon-fri" or "sat,sun"
+ * - start_time / end_time: "HH:MM" in the rule's timezone (end before start wraps past midnight)
+ * - timezone: IANA time zone for days, times and holidays (default ROUTING_TIMEZONE, else the server's)
+ * - holiday_calendar + holiday_mode: "only" matches on the calendar's holidays, "except" on every other day
+ *
+ * Holidays are rows of the holidays table: a calendar name and a date (YYYY-MM-DD, or MM-DD for every year).
+ * A holiday closes a schedule for the whole day unless it has its own hours (e.g. "10:00-14:00").
+ *
+ * Schedules (schedules table) apply to one extension or one state of statescodes.db (an extension schedule wins):
+ * - hours: "mon-fri 08:00-18:00; sat 09:00-13:00" (several windows per day: "mon-fri 08:00-12:00,13:00-17:00")
+ * - timezone: IANA time zone of the hours (default ROUTING_TIMEZONE), since the states span several zones
+ * - holiday_calendar: holidays on which the hours are replaced by the holiday's hours (closed if none)
+ * - after_hours_extension: where calls go while closed (default ROUTING_FALLBACK_EXTENSION, else failover)
+ *
+ * Main Functions:
+ * - createRoutingEngine(options): Returns the engine below, bound to routing.db.
+ * - fallbackFor(dialedNumber): { extension, dialed } of the fallback for a dialed number, or null.
+ * - describeMatch(result): MATCHED_RULE text of a routing decision ("After hours: ...", "VIP: ...", rule name).
+ *
+ * The returned engine exposes:
+ * - route(call, date, options): Routing decision { extension, state, rule, source, trace } for a call.
+ * - listRules() / createRule(input) / updateRule(id, input) / deleteRule(id): Rule storage.
+ * - listHolidays(calendar) / addHoliday(input) / deleteHoliday(id): Holiday calendars.
+ * - listSchedules(date) / createSchedule(input) / updateSchedule(id, input) / deleteSchedule(id): Business hours.
+ * - validateRule(input): Normalized rule and a list of errors (used before storing a rule).
+ */
+
+const sqlite3 = require('sqlite3').verbose(); // Rule storage
+const { config } = require('./config'); // ROUTING_DB, ROUTING_TIMEZONE, ROUTING_FALLBACK_EXTENSION, ROUTING_FALLBACK_BY_DIALED
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const ACTIONS = ['extension', 'area_code'];
+const HOLIDAY_MODES = ['only', 'except'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^(\d{4}-)?(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const MAX_REGEX_LENGTH = 200; // Longest /regex/ accepted in a rule pattern
+const MAX_PATTERN_INPUT = 40; // Longest value tested against a pattern (phone numbers are far shorter)
+const PATTERN_FIELDS = ['dialed_pattern', 'caller_pattern'];
+
+// Rule columns that can be set through createRule() / updateRule()
+const RULE_FIELDS = [
+  'name', 'priority', 'enabled', 'dialed_pattern', 'caller_pattern', 'pbx_id', 'days',
+  'start_time', 'end_time', 'timezone', 'holiday_calendar', 'holiday_mode', 'action', 'extension'
+];
+
+// Schedule columns that can be set through createSchedule() / updateSchedule()
+const SCHEDULE_FIELDS = ['name', 'state', 'extension', 'timezone', 'hours', 'holiday_calendar', 'after_hours_extension', 'enabled'];
+
+// Parse "mon-fri,sun" into a Set of day indexes (0 = Sunday); null if invalid
+function parseDays(value) {
+  const days = new Set();
+  for (const part of value.toLowerCase().split(',').map(p => p.trim()).filter(Boolean)) {
+    const [from, to] = part.split('-').map(d => DAY_NAMES.indexOf(d.trim().slice(0, 3)));
+    if (from < 0 || (to !== undefined && to < 0)) return null;
+    if (to === undefined) {
+      days.add(from);
+    } else {
+      for (let d = from; ; d = (d + 1) % 7) {
+        days.add(d);
+        if (d === to) break;
+      }
+    }
+  }
+  return days;
+}
+
+// Whether a time zone name is known to Intl
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Day of week, date and minutes since midnight of a moment in a time zone
+function localParts(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone || undefined,
+    weekday: 'short', year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+  return {
+    day: DAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+}
+
+// "HH:MM" -> minutes since midnight
+function toMinutes(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// Whether minutes since midnight fall in [start, end); end before start wraps past midnight
+function inWindow(minutes, start, end) {
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+// Parse "08:00-12:00,13:00-17:00" into [{ start, end }] in minutes; null if invalid
+function parseWindows(value) {
+  const windows = [];
+  for (const part of value.split(',').map(p => p.trim()).filter(Boolean)) {
+    const [start, end] = part.split('-').map(t => t.trim());
+    if (!TIME_PATTERN.test(start || '') || !(TIME_PATTERN.test(end || '') || end === '24:00')) return null;
+    windows.push({ start: toMinutes(start), end: end === '24:00' ? 24 * 60 : toMinutes(end) });
+  }
+  return windows.length ? windows : null;
+}
+
+// Parse "mon-fri 08:00-18:00; sat 09:00-13:00" into day index -> windows; null if invalid
+function parseHours(value) {
+  const week = new Map();
+  for (const segment of value.split(';').map(p => p.trim()).filter(Boolean)) {
+    const match = segment.match(/^(\S+)\s+(.+)$/);
+    const days = match && parseDays(match[1]);
+    const windows = match && parseWindows(match[2]);
+    if (!days || !windows) return null;
+    days.forEach(day => week.set(day, [...(week.get(day) || []), ...windows]));
+  }
+  return week;
+}
+
+/**
+ * Whether a schedule is open at a moment
+ * @param {Object} schedule - Stored schedule
+ * @param {Date} date - Moment to check
+ * @param {Map} holidays - calendar -> Map of date -> holiday row
+ * @returns {{open: boolean, reason: string}}
+ */
+function scheduleStatus(schedule, date, holidays) {
+  const local = localParts(date, schedule.timezone || config.ROUTING_TIMEZONE);
+  if (schedule.holiday_calendar) {
+    const dates = holidays.get(schedule.holiday_calendar) || new Map();
+    const holiday = dates.get(local.date) || dates.get(local.date.slice(5));
+    if (holiday) {
+      const label = holiday.name || holiday.date;
+      if (!holiday.hours) return { open: false, reason: `closed for ${label}` };
+      const open = parseWindows(holiday.hours).some(w => inWindow(local.minutes, w.start, w.end));
+      return { open, reason: `${label} hours ${holiday.hours}` };
+    }
+  }
+  const windows = parseHours(schedule.hours).get(local.day) || [];
+  const open = windows.some(w => inWindow(local.minutes, w.start, w.end));
+  return { open, reason: open ? 'within business hours' : `outside business hours (${schedule.hours})` };
+}
+
+// Why a /regex/ source is outside the allowed subset, or null when it is inside:
+// too long, a back-reference, or a repeated group that contains a quantifier or "|" ("(a+)+", "(a|aa)+", "((ab)*x)*")
+function unsafeRegex(source) {
+  if (source.length > MAX_REGEX_LENGTH) return `a /regex/ may be at most ${MAX_REGEX_LENGTH} characters long`;
+  const groups = [{ repeats: false, alternates: false }]; // Open groups: whether they contain a quantifier / "|"
+  const repeatAt = i => source.slice(i).match(/^(?:[*+]|\{\d+,\d*\})/);
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === '\\') {
+      if (/[1-9k]/.test(source[i + 1] || '')) return `/${source}/ uses a back-reference, which is not allowed`;
+      i++;
+    } else if (ch === '[') {
+      // Character class: quantifier characters inside it are literals
+      for (i++; i < source.length && source[i] !== ']'; i++) if (source[i] === '\\') i++;
+    } else if (ch === '(') {
+      groups.push({ repeats: false, alternates: false });
+    } else if (ch === '|') {
+      groups[groups.length - 1].alternates = true;
+    } else if (ch === ')' && groups.length > 1) {
+      const group = groups.pop();
+      const repeated = !!repeatAt(i + 1);
+      if (repeated && group.repeats) return `/${source}/ repeats a group that contains a quantifier (like "(a+)+"), which is not allowed`;
+      if (repeated && group.alternates) return `/${source}/ repeats a group that contains "|" (like "(a|aa)+"), which is not allowed`;
+      const parent = groups[groups.length - 1];
+      parent.repeats = parent.repeats || group.repeats || repeated;
+      parent.alternates = parent.alternates || group.alternates;
+    } else if (repeatAt(i)) {
+      groups[groups.length - 1].repeats = true;
+    }
+  }
+  return null;
+}
+
+// Compile comma-separated number patterns into [{ regex, raw }]; throws when a /regex/ is invalid or unsafe
+function compilePatterns(patterns) {
+  return String(patterns).split(',').map(p => p.trim()).filter(Boolean).map(pattern => {
+    const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+      const problem = unsafeRegex(regex[1]);
+      if (problem) throw new Error(problem);
+      // Without g/y, test() keeps no state between calls, so the compiled regex can be reused
+      return { regex: new RegExp(regex[1], regex[2].replace(/[gy]/g, '')), raw: true };
+    }
+    const glob = pattern.replace(/[^\d*?X]/gi, '').replace(/\*/g, '\\d*').replace(/[?X]/gi, '\\d');
+    return { regex: new RegExp(`^${glob}$`), raw: false };
+  });
+}
+
+// Whether a value matches one of the patterns (text or compilePatterns() result; normalized: number to take the digits from)
+function matchesPattern(patterns, value, normalized) {
+  const raw = String(value || '');
+  const digits = String(normalized || raw).replace(/\D/g, '');
+  if (raw.length > MAX_PATTERN_INPUT || digits.length > MAX_PATTERN_INPUT) return false; // Bounds the matching work
+  const matchers = typeof patterns === 'string' ? compilePatterns(patterns) : patterns;
+  return matchers.some(matcher => matcher.regex.test(matcher.raw ? raw : digits));
+}
+
+/**
+ * Validate and normalize rule input (from the API or a script)
+ * @param {Object} input - Rule fields
+ * @param {Object} [existing] - Stored rule being updated (missing fields keep their value)
+ * @returns {{rule: Object, errors: string[]}}
+ */
+function validateRule(input, existing = {}) {
+  const rule = {};
+  const errors = [];
+  for (const field of RULE_FIELDS) {
+    const value = input[field] !== undefined ? input[field] : existing[field];
+    rule[field] = value === undefined || value === '' ? null : value;
+  }
+  rule.priority = rule.priority === null ? 100 : Number(rule.priority);
+  rule.enabled = rule.enabled === null ? 1 : (rule.enabled === true || rule.enabled === 1 || rule.enabled === '1' || rule.enabled === 'true' ? 1 : 0);
+  rule.action = rule.action || 'extension';
+
+  if (!rule.name) errors.push('name is required');
+  if (!Number.isInteger(rule.priority)) errors.push('priority must be a whole number');
+  if (!ACTIONS.includes(rule.action)) errors.push(`action must be one of ${ACTIONS.join(', ')}`);
+  if (rule.action === 'extension' && !rule.extension) errors.push('extension is required for action "extension"');
+  if (rule.days && !parseDays(String(rule.days))) errors.push('days must be weekday names or ranges, e.g. "mon-fri,sun"');
+  for (const field of ['start_time', 'end_time']) {
+    if (rule[field] && !TIME_PATTERN.test(rule[field])) errors.push(`${field} must be HH:MM (24-hour)`);
+  }
+  if (rule.timezone && !isValidTimeZone(rule.timezone)) errors.push(`Unknown timezone: ${rule.timezone}`);
+  if (rule.holiday_mode && !HOLIDAY_MODES.includes(rule.holiday_mode)) errors.push(`holiday_mode must be one of ${HOLIDAY_MODES.join(', ')}`);
+  if (!!rule.holiday_mode !== !!rule.holiday_calendar) errors.push('holiday_calendar and holiday_mode must be set together');
+  for (const field of PATTERN_FIELDS) {
+    if (!rule[field]) continue;
+    try {
+      compilePatterns(rule[field]);
+    } catch (e) {
+      errors.push(`${field} contains an invalid regular expression: ${e.message}`);
+    }
+  }
+  return { rule, errors };
+}
+
+/**
+ * Validate and normalize schedule input
+ * @param {Object} input - Schedule fields
+ * @param {Object} [existing] - Stored schedule being updated (missing fields keep their value)
+ * @returns {{schedule: Object, errors: string[]}}
+ */
+function validateSchedule(input, existing = {}) {
+  const schedule = {};
+  const errors = [];
+  for (const field of SCHEDULE_FIELDS) {
+    const value = input[field] !== undefined ? input[field] : existing[field];
+    schedule[field] = value === undefined || value === '' ? null : value;
+  }
+  schedule.enabled = schedule.enabled === null ? 1 : (schedule.enabled === true || schedule.enabled === 1 || schedule.enabled === '1' || schedule.enabled === 'true' ? 1 : 0);
+  if (schedule.extension !== null) schedule.extension = String(schedule.extension);
+  if (schedule.after_hours_extension !== null) schedule.after_hours_extension = String(schedule.after_hours_extension);
+  schedule.name = schedule.name || (schedule.extension ? `Extension ${schedule.extension}` : schedule.state);
+
+  if (!schedule.state && !schedule.extension) errors.push('state or extension is required');
+  if (schedule.state && schedule.extension) errors.push('set either state or extension, not both');
+  if (!schedule.hours || !parseHours(String(schedule.hours))) errors.push('hours must look like "mon-fri 08:00-18:00; sat 09:00-13:00"');
+  if (schedule.timezone && !isValidTimeZone(schedule.timezone)) errors.push(`Unknown timezone: ${schedule.timezone}`);
+  return { schedule, errors };
+}
+
+/**
+ * Create the routing engine
+ * @param {Object} options
+ * @param {Function} options.lookupAreaCode - async (areaCode) => { state, extension, extensions, distribution } | null
+ * @param {Function} [options.distribute] - async (state, extensions, distribution) => extension, for extension pools
+ * @param {Function} [options.findCaller] - async (caller, date) => { extension, state, source, override, lastCall } | null,
+ *   checked before the rules (VIP overrides and returning callers)
+ * @param {string} [options.dbPath] - Rules database (default ROUTING_DB)
+ * @returns {Object} - Routing engine
+ */
+function createRoutingEngine(options) {
+  const { lookupAreaCode, distribute, findCaller } = options;
+  const db = new sqlite3.Database(options.dbPath || config.ROUTING_DB);
+
+  // Promise wrappers around the sqlite3 callbacks
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) { return err ? reject(err) : resolve(this); });
+  });
+  const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+  const get = (sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+
+  db.serialize(() => {
+    db.run(`CREATE TABLE IF NOT EXISTS routing_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      priority INTEGER NOT NULL DEFAULT 100,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      dialed_pattern TEXT,
+      caller_pattern TEXT,
+      pbx_id TEXT,
+      days TEXT,
+      start_time TEXT,
+      end_time TEXT,
+      timezone TEXT,
+      holiday_calendar TEXT,
+      holiday_mode TEXT,
+      action TEXT NOT NULL DEFAULT 'extension',
+      extension TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    db.run(`CREATE TABLE IF NOT EXISTS holidays (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      calendar TEXT NOT NULL,
+      date TEXT NOT NULL,
+      name TEXT,
+      hours TEXT,
+      UNIQUE (calendar, date)
+    )`);
+    db.run(`CREATE TABLE IF NOT EXISTS schedules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      state TEXT,
+      extension TEXT,
+      timezone TEXT,
+      hours TEXT NOT NULL,
+      holiday_calendar TEXT,
+      after_hours_extension TEXT,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    // Shortened holiday hours (added after the first release)
+    db.all('PRAGMA table_info(holidays)', (err, columns) => {
+      if (err || columns.some(column => column.name === 'hours')) return;
+      db.run('ALTER TABLE holidays ADD COLUMN hours TEXT');
+    });
+  });
+
+  // Compiled patterns (or the Error that rejected them) by pattern text, so a rule's regexes are compiled
+  // and checked once when it is loaded, not on every call
+  const compiledPatterns = new Map();
+
+  // Enabled rules in evaluation order, with .patterns (compiled dialed/caller patterns) or .invalid (why they were rejected)
+  async function loadRules() {
+    const rules = await all('SELECT * FROM routing_rules WHERE enabled = 1 ORDER BY priority, id');
+    const used = new Set();
+    const loaded = rules.map(rule => {
+      const patterns = {};
+      for (const field of PATTERN_FIELDS) {
+        if (!rule[field]) continue;
+        const text = String(rule[field]);
+        used.add(text);
+        if (!compiledPatterns.has(text)) {
+          try {
+            compiledPatterns.set(text, compilePatterns(text));
+          } catch (err) {
+            console.warn(`Routing rule "${rule.name}" (${rule.id}) is skipped: ${field} ${err.message}`);
+            compiledPatterns.set(text, err);
+          }
+        }
+        const compiled = compiledPatterns.get(text);
+        if (compiled instanceof Error) return { ...rule, invalid: `${field} ${compiled.message}` };
+        patterns[field] = compiled;
+      }
+      return { ...rule, patterns };
+    });
+    compiledPatterns.forEach((compiled, text) => { if (!used.has(text)) compiledPatterns.delete(text); }); // Edited or deleted rules
+    return loaded;
+  }
+
+  // Check one loaded rule against a call; returns null when it matches, else the reason it does not
+  function mismatch(rule, call, date, holidays) {
+    if (rule.invalid) return `invalid rule: ${rule.invalid}`;
+    if (rule.pbx_id && rule.pbx_id !== call.PBX_ID) return 'PBX_ID differs';
+    if (rule.patterns.dialed_pattern && !matchesPattern(rule.patterns.dialed_pattern, call.DIALED_NUMBER)) return 'dialed number does not match';
+    if (rule.patterns.caller_pattern && !matchesPattern(rule.patterns.caller_pattern, call.CALLER_ID_NUMBER, call.caller && call.caller.e164)) return 'caller ID does not match';
+
+    const timeZone = rule.timezone || config.ROUTING_TIMEZONE;
+    const local = localParts(date, timeZone);
+    if (rule.days && !parseDays(rule.days).has(local.day)) return `not on ${rule.days}`;
+    if (rule.start_time || rule.end_time) {
+      const start = rule.start_time ? toMinutes(rule.start_time) : 0;
+      const end = rule.end_time ? toMinutes(rule.end_time) : 24 * 60;
+      if (!inWindow(local.minutes, start, end)) return `outside ${rule.start_time || '00:00'}-${rule.end_time || '24:00'}`;
+    }
+    if (rule.holiday_calendar) {
+      const dates = holidays.get(rule.holiday_calendar) || new Map();
+      const isHoliday = dates.has(local.date) || dates.has(local.date.slice(5));
+      if (rule.holiday_mode === 'only' && !isHoliday) return `not a holiday in ${rule.holiday_calendar}`;
+      if (rule.holiday_mode === 'except' && isHoliday) return `holiday in ${rule.holiday_calendar}`;
+    }
+    return null;
+  }
+
+  /**
+   * Decide where a call goes
+   * @param {Object} call - { PBX_ID, CALLER_ID_NUMBER, DIALED_NUMBER, AREA_CODE, caller (parseCallerId result) }
+   * @param {Date} [date] - Moment of the call (default now)
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Preview only: extension pools are not advanced
+   * @returns {Promise<Object>} - { extension, state, rule, schedule, source, trace }
+   *   source: 'vip', 'sticky', 'rule', 'area_code', 'fallback', 'after_hours' or 'none'
+ *   ('degraded' is added by remoteccRouter.js when routing fails)
+   */
+  async function route(call, date = new Date(), options = {}) {
+    const trace = [];
+    const holidays = await loadHolidays();
+    const result = await known(call, date, trace) || await decide(call, date, holidays, trace, options);
+    if (!result.extension) return { ...result, schedule: null, trace };
+
+    // Business hours of the chosen extension, else of the matched state
+    const schedules = await all('SELECT * FROM schedules WHERE enabled = 1 ORDER BY id');
+    const schedule = schedules.find(s => s.extension === result.extension)
+      || schedules.find(s => s.state && result.state && s.state.toLowerCase() === String(result.state).toLowerCase());
+    if (!schedule) return { ...result, schedule: null, trace };
+
+    let status;
+    try {
+      status = scheduleStatus(schedule, date, holidays);
+    } catch (err) {
+      status = { open: true, reason: `invalid schedule, treated as open: ${err.message}` };
+    }
+    trace.push({ step: 'schedule', schedule: schedule.name, id: schedule.id, open: status.open, reason: status.reason });
+    const matchedSchedule = { id: schedule.id, name: schedule.name, open: status.open };
+    if (status.open) return { ...result, schedule: matchedSchedule, trace };
+
+    const afterHours = schedule.after_hours_extension || config.ROUTING_FALLBACK_EXTENSION || null;
+    trace.push({ step: 'after_hours', extension: afterHours, instead: result.extension });
+    return { ...result, extension: afterHours, schedule: matchedSchedule, source: afterHours ? 'after_hours' : 'none', trace };
+  }
+
+  // VIP override or returning caller; null when the rules should decide
+  async function known(call, date, trace) {
+    if (!findCaller) return null;
+    const match = await findCaller(call.caller, date);
+    if (!match) return null;
+    trace.push({
+      step: match.source,
+      extension: match.extension,
+      override: match.override && { id: match.override.id, name: match.override.name },
+      lastCall: match.lastCall && { id: match.lastCall.id, at: match.lastCall.timestamp }
+    });
+    return { extension: String(match.extension), state: match.state || null, rule: null, source: match.source, override: match.override || null };
+  }
+
+  // Holidays by calendar: calendar -> Map of date -> holiday row
+  async function loadHolidays() {
+    const holidays = new Map();
+    (await all('SELECT * FROM holidays')).forEach(h => {
+      if (!holidays.has(h.calendar)) holidays.set(h.calendar, new Map());
+      holidays.get(h.calendar).set(h.date, h);
+    });
+    return holidays;
+  }
+
+  // Rules, then area code, then the global fallback (before business hours are applied)
+  async function decide(call, date, holidays, trace, options) {
+    const rules = await loadRules();
+    for (const rule of rules) {
+      let reason;
+      try {
+        reason = mismatch(rule, call, date, holidays);
+      } catch (err) {
+        reason = `invalid rule: ${err.message}`;
+      }
+      trace.push({ rule: rule.name, id: rule.id, matched: !reason, reason: reason || 'all conditions match' });
+      if (reason) continue;
+
+      const matchedRule = { id: rule.id, name: rule.name };
+      if (rule.action === 'area_code') {
+        const match = await areaCodeMatch(call, trace, options);
+        if (match) return { ...match, rule: matchedRule, source: 'area_code' };
+      }
+      if (rule.extension) return { extension: String(rule.extension), state: null, rule: matchedRule, source: 'rule' };
+      return globalFallback(call, trace, matchedRule); // An area_code rule without a match or an extension of its own
+    }
+
+    // No rule matched: area code lookup, then the global fallback
+    const match = await areaCodeMatch(call, trace, options);
+    if (match) return { ...match, rule: null, source: 'area_code' };
+    return globalFallback(call, trace, null);
+  }
+
+  // Fallback for the dialed number (ROUTING_FALLBACK_BY_DIALED / ROUTING_FALLBACK_EXTENSION); rule: the matched rule, if any
+  function globalFallback(call, trace, rule) {
+    const fallback = fallbackFor(call.DIALED_NUMBER);
+    if (!fallback) return { extension: null, state: null, rule, source: 'none' };
+    trace.push({ step: 'fallback', extension: fallback.extension, dialed: fallback.dialed });
+    return { extension: fallback.extension, state: null, rule, source: 'fallback' };
+  }
+
+  // Area code lookup; a state with an extension pool gets the extension chosen by the distribution
+  async function areaCodeMatch(call, trace, options) {
+    const match = await lookupAreaCode(call.AREA_CODE);
+    trace.push({ step: 'area_code', areaCode: call.AREA_CODE, match: match && { state: match.state, extension: match.extension } });
+    if (!match) return null;
+    let extension = match.extension;
+    if (distribute && match.extensions && match.extensions.length) {
+      extension = await distribute(match.state, match.extensions, match.distribution, { dryRun: options.dryRun });
+      trace.push({ step: 'distribution', strategy: match.distribution, pool: match.extensions.map(m => m.extension), extension });
+    }
+    return { extension: extension === null ? null : String(extension), state: match.state };
+  }
+
+  // Rule storage
+  function listRules() {
+    return all('SELECT * FROM routing_rules ORDER BY priority, id');
+  }
+
+  function getRule(id) {
+    return get('SELECT * FROM routing_rules WHERE id = ?', [id]);
+  }
+
+  // Store a new rule; throws an Error with status 400 and .errors when the input is invalid
+  async function createRule(input) {
+    const { rule, errors } = validateRule(input);
+    if (errors.length) throw validationError(errors);
+    const result = await run(
+      `INSERT INTO routing_rules (${RULE_FIELDS.join(', ')}) VALUES (${RULE_FIELDS.map(() => '?').join(', ')})`,
+      RULE_FIELDS.map(field => rule[field])
+    );
+    return getRule(result.lastID);
+  }
+
+  // Update a rule (missing fields keep their value); null if the rule does not exist
+  async function updateRule(id, input) {
+    const existing = await getRule(id);
+    if (!existing) return null;
+    const { rule, errors } = validateRule(input, existing);
+    if (errors.length) throw validationError(errors);
+    await run(
+      `UPDATE routing_rules SET ${RULE_FIELDS.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...RULE_FIELDS.map(field => rule[field]), id]
+    );
+    return getRule(id);
+  }
+
+  // Delete a rule; false if it did not exist
+  async function deleteRule(id) {
+    const result = await run('DELETE FROM routing_rules WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
+
+  // Holiday calendars
+  function listHolidays(calendar) {
+    return calendar
+      ? all('SELECT * FROM holidays WHERE calendar = ? ORDER BY date', [calendar])
+      : all('SELECT * FROM holidays ORDER BY calendar, date');
+  }
+
+  async function addHoliday(input) {
+    const errors = [];
+    if (!input.calendar) errors.push('calendar is required');
+    if (!DATE_PATTERN.test(input.date || '')) errors.push('date must be YYYY-MM-DD, or MM-DD for every year');
+    if (input.hours && !parseWindows(String(input.hours))) errors.push('hours must look like "10:00-14:00" (leave empty when closed)');
+    if (errors.length) throw validationError(errors);
+    const result = await run(
+      'INSERT OR REPLACE INTO holidays (calendar, date, name, hours) VALUES (?, ?, ?, ?)',
+      [input.calendar, input.date, input.name || null, input.hours || null]
+    );
+    return get('SELECT * FROM holidays WHERE id = ?', [result.lastID]);
+  }
+
+  async function deleteHoliday(id) {
+    const result = await run('DELETE FROM holidays WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
+
+  // Business-hours schedules, with whether each one is open at the given moment
+  async function listSchedules(date = new Date()) {
+    const holidays = await loadHolidays();
+    const schedules = await all('SELECT * FROM schedules ORDER BY state, extension');
+    return schedules.map(schedule => ({ ...schedule, ...statusAt(schedule, date, holidays) }));
+  }
+
+  function statusAt(schedule, date, holidays) {
+    try {
+      const status = scheduleStatus(schedule, date, holidays);
+      return { open_now: status.open, status: status.reason };
+    } catch (err) {
+      return { open_now: null, status: err.message };
+    }
+  }
+
+  function getSchedule(id) {
+    return get('SELECT * FROM schedules WHERE id = ?', [id]);
+  }
+
+  async function createSchedule(input) {
+    const { schedule, errors } = validateSchedule(input);
+    if (errors.length) throw validationError(errors);
+    const result = await run(
+      `INSERT INTO schedules (${SCHEDULE_FIELDS.join(', ')}) VALUES (${SCHEDULE_FIELDS.map(() => '?').join(', ')})`,
+      SCHEDULE_FIELDS.map(field => schedule[field])
+    );
+    return getSchedule(result.lastID);
+  }
+
+  // Update a schedule (missing fields keep their value); null if it does not exist
+  async function updateSchedule(id, input) {
+    const existing = await getSchedule(id);
+    if (!existing) return null;
+    const { schedule, errors } = validateSchedule(input, existing);
+    if (errors.length) throw validationError(errors);
+    await run(
+      `UPDATE schedules SET ${SCHEDULE_FIELDS.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...SCHEDULE_FIELDS.map(field => schedule[field]), id]
+    );
+    return getSchedule(id);
+  }
+
+  async function deleteSchedule(id) {
+    const result = await run('DELETE FROM schedules WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
+
+  return {
+    route, listRules, getRule, createRule, updateRule, deleteRule, listHolidays, addHoliday, deleteHoliday, validateRule,
+    listSchedules, getSchedule, createSchedule, updateSchedule, deleteSchedule
+  };
+}
+
+// Digits of a number without the NANP 1 in front ("+1 (800) 555-1212" -> "8005551212")
+function comparableDigits(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+}
+
+/**
+ * Fallback for a call nothing else routes: the dialed number's entry in ROUTING_FALLBACK_BY_DIALED, else
+ * ROUTING_FALLBACK_EXTENSION
+ * @param {string} dialedNumber - DIALED_NUMBER of the call
+ * @returns {Object|null} - { extension, dialed } (dialed: the matching map entry, null for the default extension)
+ */
+function fallbackFor(dialedNumber) {
+  const dialed = comparableDigits(dialedNumber);
+  for (const entry of config.ROUTING_FALLBACK_BY_DIALED) {
+    const [number, extension] = entry.split(':').map(part => part.trim());
+    if (dialed && extension && comparableDigits(number) === dialed) return { extension, dialed: number };
+  }
+  return config.ROUTING_FALLBACK_EXTENSION ? { extension: config.ROUTING_FALLBACK_EXTENSION, dialed: null } : null;
+}
+
+/**
+ * Text for the MATCHED_RULE column of an event: what decided the call besides the area code
+ * @param {Object} result - route() result
+ * @returns {string|null}
+ */
+function describeMatch(result) {
+  if (result.source === 'after_hours') return `After hours: ${result.schedule.name}`;
+  if (result.source === 'vip') return `VIP: ${result.override.name || result.override.number}`;
+  if (result.source === 'sticky') return 'Returning caller';
+  if (result.source === 'degraded') return `Routing degraded: ${result.error}`;
+  return result.rule ? result.rule.name : null;
+}
+
+// Error for invalid rule/holiday input (answered with 400 by the routes)
+function validationError(errors) {
+  const error = new Error(errors.join('; '));
+  error.status = 400;
+  error.errors = errors;
+  return error;
+}
+
+module.exports = { createRoutingEngine, validateRule, validateSchedule, matchesPattern, describeMatch, fallbackFor };
@@ -0,0 +1,141 @@
+/**
+ * routingSimulation.js
+ *
+ * Dry runs of the Remote Call Control routing (routingRules.js): what POST /remotecc would answer for a caller,
+ * dialed number and moment, without placing a call or storing an event. Extension pools are not advanced and
+ * returning-caller stickiness is only read, so a simulation never changes the routing of real calls.
+ * Used by /api/routing/simulate, /api/routing/preview and routing-simulator.html.
+ *
+ * Batch mode takes a CSV, one call per line, to check a new routing table before it goes live. The header names
+ * the columns (caller, dialed, pbx, at; CALLER_ID_NUMBER, DIALED_NUMBER, PBX_ID and timestamp work too);
+ * without a header the columns are taken in that order, so a plain list of numbers is enough.
+ *
+ * Main Functions:
+ * - simulate(routing, input): { response, extension, state, matchedRule, source, rule, schedule, areaCode, caller, trace }
+ *   for input { caller, dialed, pbx, at }.
+ * - simulateCsv(routing, text, options): { count, summary, results } for a CSV of calls.
+ * - resultsToCsv(results): Batch results as CSV for download.
+ */
+
+const { parseCsv } = require('./areaCodes'); // CSV parsing (quotes, BOM)
+const { parseCallerId } = require('./callerId'); // Caller ID normalization
+const { describeMatch } = require('./routingRules'); // MATCHED_RULE text
+
+const MAX_BATCH_ROWS = 5000;
+
+// Header names accepted for each input field (compared in lower case without spaces and underscores)
+const COLUMN_NAMES = {
+  caller: ['caller', 'callerid', 'calleridnumber', 'number', 'from'],
+  dialed: ['dialed', 'dialednumber', 'to'],
+  pbx: ['pbx', 'pbxid'],
+  at: ['at', 'timestamp', 'time', 'date']
+};
+const FIELDS = Object.keys(COLUMN_NAMES);
+
+const RESULT_COLUMNS = ['line', 'caller', 'dialed', 'pbx', 'at', 'caller_e164', 'caller_type', 'area_code', 'response', 'state', 'matched_rule', 'source', 'schedule', 'error'];
+
+// Error answered with a status code by the routes
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Route one call without side effects
+ * @param {Object} routing - Engine from createRoutingEngine()
+ * @param {Object} input - { caller, dialed, pbx, at } (at: any date Date() understands, default now)
+ * @param {Object} [options]
+ * @param {boolean} [options.trace] - Include the evaluation trace (default true)
+ * @returns {Promise<Object>} - The decision; response is the text /remotecc would answer ('' = failover)
+ */
+async function simulate(routing, input, options = {}) {
+  const date = input.at ? new Date(input.at) : new Date();
+  if (isNaN(date)) throw httpError(400, `Invalid date: ${input.at}`);
+  const caller = parseCallerId(input.caller);
+  const call = {
+    PBX_ID: input.pbx || undefined,
+    CALLER_ID_NUMBER: input.caller || '',
+    DIALED_NUMBER: input.dialed || '',
+    AREA_CODE: caller.areaCode || '',
+    caller
+  };
+  const result = await routing.route(call, date, { dryRun: true });
+  return {
+    at: date.toISOString(),
+    response: result.extension ? String(result.extension) : '',
+    extension: result.extension,
+    state: result.state,
+    matchedRule: describeMatch(result),
+    source: result.source,
+    rule: result.rule,
+    schedule: result.schedule,
+    override: result.override || null,
+    areaCode: call.AREA_CODE,
+    caller,
+    ...(options.trace === false ? {} : { trace: result.trace })
+  };
+}
+
+// Map the CSV header to field indexes; null when the first row is data
+function headerIndexes(row) {
+  const names = row.map(name => name.trim().toLowerCase().replace(/[\s_]+/g, ''));
+  const indexes = {};
+  FIELDS.forEach(field => { indexes[field] = names.findIndex(name => COLUMN_NAMES[field].includes(name)); });
+  return indexes.caller >= 0 ? indexes : null;
+}
+
+/**
+ * Simulate every call of a CSV
+ * @param {Object} routing - Engine from createRoutingEngine()
+ * @param {string} text - CSV, see the header comment
+ * @param {Object} [options]
+ * @param {string} [options.at] - Moment for lines without one (default now)
+ * @param {boolean} [options.trace] - Include each call's trace (default false)
+ * @returns {Promise<Object>} - { count, summary: { bySource, byExtension, errors }, results }
+ */
+async function simulateCsv(routing, text, options = {}) {
+  const rows = parseCsv(String(text || ''));
+  const header = rows.length ? headerIndexes(rows[0]) : null;
+  const lines = header ? rows.slice(1) : rows;
+  if (!lines.length) throw httpError(400, 'The CSV has no calls');
+  if (lines.length > MAX_BATCH_ROWS) throw httpError(400, `A batch can have at most ${MAX_BATCH_ROWS} calls (got ${lines.length})`);
+  const indexes = header || { caller: 0, dialed: 1, pbx: 2, at: 3 };
+
+  const results = [];
+  const summary = { bySource: {}, byExtension: {}, errors: 0 };
+  for (const [i, line] of lines.entries()) {
+    const input = {};
+    FIELDS.forEach(field => { input[field] = indexes[field] >= 0 ? (line[indexes[field]] || '').trim() : ''; });
+    input.at = input.at || options.at || '';
+    const entry = { line: i + (header ? 2 : 1), input };
+    try {
+      Object.assign(entry, await simulate(routing, input, { trace: !!options.trace }));
+      summary.bySource[entry.source] = (summary.bySource[entry.source] || 0) + 1;
+      const extension = entry.response || '(failover)';
+      summary.byExtension[extension] = (summary.byExtension[extension] || 0) + 1;
+    } catch (err) {
+      entry.error = err.message;
+      summary.errors++;
+    }
+    results.push(entry);
+  }
+  return { count: results.length, summary, results };
+}
+
+/**
+ * Batch results as CSV (one line per call)
+ * @param {Object[]} results - simulateCsv().results
+ * @returns {string}
+ */
+function resultsToCsv(results) {
+  const quote = value => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  const lines = results.map(r => [
+    r.line, r.input.caller, r.input.dialed, r.input.pbx, r.at || r.input.at,
+    r.caller ? r.caller.e164 : '', r.caller ? r.caller.type : '', r.areaCode, r.response, r.state,
+    r.matchedRule, r.source, r.schedule ? `${r.schedule.name} (${r.schedule.open ? 'open' : 'closed'})` : '', r.error
+  ].map(value => quote(String(value ?? ''))).join(','));
+  return [RESULT_COLUMNS.join(','), ...lines].join('\n') + '\n';
+}
+
+module.exports = { simulate, simulateCsv, resultsToCsv };
@@ -0,0 +1,104 @@
+/**
+ * server.js
+ *
+ * Unified server: runs every GoTo tool in one process on one port, instead of starting napphovol.js,
+ * Extensions.js, getTokenServer.js, AllExt.js, RemoteCC.js and HTTPNotify.js separately (they all bind port 5000).
+ * All modules share one login layer (localAuth.js), one set of OAuth/token routes (oauthRoutes.js) and one
+ * tenant registry, and each module's routes are mounted under its own prefix.
+ *
+ * Modules (prefix):
+ * - reports (/reports): User activity report and extension lists (reportsRouter.js)
+ * - voicemail (/voicemail): Voicemail boxes and messages (voicemailRouter.js)
+ * - phoneNumbers (/phone-numbers): Phone numbers, call activity and phone_numbers.db (phoneNumbersRouter.js)
+ * - remotecc (/call-control): Remote Call Control webhook and events (remoteccRouter.js)
+ * - httpNotify (/http-notify): HTTP Notify webhook and calls (httpNotifyRouter.js)
+ *
+ * Configuration (.env or the config file, see config.js):
+ * - MODULES: comma-separated modules to load (default: all of them)
+ * - PORT: port to listen on (default 5000)
+ *
+ * The dashboards find their module's prefix through /modules.js (see public/modules.js).
+ *
+ * Usage: node server.js
+ */
+
+const { config, reportStartup } = require('./config'); // .env + optional goto.config.json/.yaml
+const express = require('express'); // HTTP server and routers
+const http = require('http'); // Shared HTTP server for Express and Socket.IO
+const fs = require('fs'); // To read public/modules.js
+const path = require('path'); // For file paths
+const { Server } = require('socket.io'); // Live dashboard updates
+const { createTenantRegistry } = require('./tenants'); // Per-organization token managers
+const { PUBLIC_DIR, servePublic, registerDownloads } = require('./publicFiles'); // public/ assets + downloads
+const { installLocalAuth, authenticateSocket } = require('./localAuth'); // Login sessions / API keys
+const { registerOAuthRoutes } = require('./oauthRoutes'); // /auth, OAuth callback, token + org endpoints
+
+// Every module that can be loaded, with its URL prefix (modules are required only when enabled)
+const AVAILABLE_MODULES = {
+  reports: { prefix: '/reports', file: './reportsRouter', factory: 'createReportsRouter' },
+  voicemail: { prefix: '/voicemail', file: './voicemailRouter', factory: 'createVoicemailRouter' },
+  phoneNumbers: { prefix: '/phone-numbers', file: './phoneNumbersRouter', factory: 'createPhoneNumbersRouter' },
+  remotecc: { prefix: '/call-control', file: './remoteccRouter', factory: 'createRemoteCCRouter' },
+  httpNotify: { prefix: '/http-notify', file: './httpNotifyRouter', factory: 'createHttpNotifyRouter' }
+};
+
+// Modules selected by MODULES (all when unset); unknown names stop the server
+function getEnabledModules() {
+  const names = config.MODULES.length ? config.MODULES : Object.keys(AVAILABLE_MODULES);
+  const unknown = names.filter(name => !AVAILABLE_MODULES[name]);
+  if (unknown.length) {
+    throw new Error(`Unknown module(s) in MODULES: ${unknown.join(', ')}. Available: ${Object.keys(AVAILABLE_MODULES).join(', ')}`);
+  }
+  return names;
+}
+
+const enabled = getEnabledModules();
+const modules = enabled.map(name => ({ name, ...AVAILABLE_MODULES[name], exports: require(AVAILABLE_MODULES[name].file) }));
+
+// One OAuth grant covers every enabled module, so request the union of their scopes
+const scope = Array.from(new Set(
+  modules.flatMap(m => (m.exports.SCOPE || '').split(' ')).filter(Boolean)
+)).join(' ');
+
+// Settings needed by the enabled modules: OAuth/tokens only when a module calls the GoTo APIs
+const groups = ['server', 'modules', 'auth'];
+if (scope) groups.push('oauth', 'tokens', 'organizations');
+if (enabled.includes('phoneNumbers')) groups.push('phoneNumbers');
+if (enabled.includes('remotecc')) groups.push('routing');
+if (enabled.includes('remotecc') || enabled.includes('httpNotify')) groups.push('areaCodes', 'webhooks', 'retention');
+reportStartup('server.js', groups);
+
+const app = express();
+const server = http.createServer(app);
+const io = new Server(server);
+io.use(authenticateSocket); // Live updates only for logged-in users
+
+// Webhooks GoTo Connect calls without a login, e.g. /call-control/remotecc
+const webhookPaths = modules.flatMap(m => (m.exports.WEBHOOK_PATHS || []).map(p => m.prefix + p));
+installLocalAuth(app, { publicPaths: webhookPaths });
+
+// Module prefixes for the dashboards (replaces the static public/modules.js, which assumes no prefixes)
+const prefixes = Object.fromEntries(modules.map(m => [m.name, m.prefix]));
+app.get('/modules.js', (req, res) => {
+  const helper = fs.readFileSync(path.join(PUBLIC_DIR, 'modules.js'), 'utf8');
+  res.type('application/javascript').send(`window.GOTO_MODULES = ${JSON.stringify(prefixes)};\n${helper}`);
+});
+
+servePublic(app);
+registerDownloads(app);
+
+// Token routes are only needed when a module calls the GoTo APIs
+const tenants = scope ? createTenantRegistry({ scope }) : null;
+if (tenants) registerOAuthRoutes(app, { tenants, scope });
+
+// Mount each enabled module under its prefix
+for (const m of modules) {
+  app.use(m.prefix, m.exports[m.factory]({ tenants, io }));
+  console.log(`Loaded module ${m.name} at ${m.prefix}`);
+}
+
+const port = config.PORT;
+server.listen(port, () => {
+  console.log(`GoTo tools server running on port ${port} (modules: ${enabled.join(', ') || 'none'})`);
+  if (tenants) console.log(`Visit http://localhost:${port}/auth to start the OAuth flow.`);
+});
@@ -0,0 +1,97 @@
+/**
+ * tenants.js
+ *
+ * Multi-tenant (multi-organization) token handling for the GoTo servers.
+ * Each GoTo organization gets its own token set in the encrypted vault, managed by its own
+ * tokenManager.js instance, so several dealership groups can be served by one process.
+ *
+ * Organizations come from three places:
+ * - ORGANIZATIONALID (the default organization, stored under the legacy "tokens" token set)
+ * - ORGANIZATIONS: comma-separated list of orgId[:label[:accountKey]] entries
+ * - Token sets already in the vault (organizations authorized through /auth?org=)
+ *
+ * Main Functions:
+ * - createTenantRegistry(options): Returns a registry bound to an OAuth scope.
+ *
+ * The returned registry exposes:
+ * - defaultOrg: The default organization ID ('' if none is configured).
+ * - resolveOrg(req): Organization for a request (?org=, ?organizationId=, X-GoTo-Org header, or default).
+ * - forOrg(orgId): Token manager for an organization (created on first use).
+ * - getAccountKey(orgId): Configured accountKey for an organization.
+ * - list(): Known organizations with their label and token status.
+ */
+
+const { config } = require('./config'); // ORGANIZATIONALID / ORGANIZATIONS / ACCOUNTKEY
+const { createTokenManager } = require('./tokenManager'); // Per-organization token state
+const vault = require('./tokenVault'); // To discover organizations that already have tokens
+
+const TOKEN_SET_PREFIX = 'tokens-'; // Vault name prefix for non-default organizations
+
+// Parse ORGANIZATIONS=orgId[:label[:accountKey]],... into a map of orgId -> { label, accountKey }
+function parseOrganizations(value) {
+  const orgs = new Map();
+  for (const entry of (value || '').split(',')) {
+    const [id, label, accountKey] = entry.split(':').map(part => part.trim());
+    if (id) orgs.set(id, { label: label || id, accountKey: accountKey || '' });
+  }
+  return orgs;
+}
+
+/**
+ * Create a tenant registry
+ * @param {Object} options
+ * @param {string} options.scope - OAuth scope used when refreshing tokens
+ * @returns {Object} - Tenant registry
+ */
+function createTenantRegistry(options = {}) {
+  const defaultOrg = config.ORGANIZATIONALID;
+  const configured = parseOrganizations(config.ORGANIZATIONS);
+  const managers = new Map(); // orgId -> token manager
+
+  // Vault token set name for an organization (the default org keeps the legacy "tokens" set)
+  function tokenSetName(orgId) {
+    return !orgId || orgId === defaultOrg ? 'tokens' : TOKEN_SET_PREFIX + orgId;
+  }
+
+  // Token manager for an organization, created on first use
+  function forOrg(orgId) {
+    const key = orgId || defaultOrg;
+    if (key && !/^[A-Za-z0-9_.-]+$/.test(key)) throw new Error(`Invalid organization ID: ${key}`);
+    if (!managers.has(key)) {
+      managers.set(key, createTokenManager({ scope: options.scope, name: tokenSetName(key) }));
+    }
+    return managers.get(key);
+  }
+
+  // Organization selected by the request, falling back to the default organization
+  function resolveOrg(req) {
+    return req.query.org || req.query.organizationId || req.get('X-GoTo-Org') || defaultOrg;
+  }
+
+  // accountKey configured for an organization (ACCOUNTKEY applies to the default organization)
+  function getAccountKey(orgId) {
+    const key = orgId || defaultOrg;
+    if (configured.has(key) && configured.get(key).accountKey) return configured.get(key).accountKey;
+    return key === defaultOrg ? config.ACCOUNTKEY : '';
+  }
+
+  // Every known organization with its token status (for the org selectors in the UI)
+  function list() {
+    const ids = new Set();
+    if (defaultOrg) ids.add(defaultOrg);
+    configured.forEach((value, id) => ids.add(id));
+    vault.listTokenSets()
+      .filter(name => name.startsWith(TOKEN_SET_PREFIX))
+      .forEach(name => ids.add(name.slice(TOKEN_SET_PREFIX.length)));
+    return Array.from(ids).map(id => ({
+      organizationId: id,
+      label: configured.has(id) ? configured.get(id).label : id,
+      isDefault: id === defaultOrg,
+      ...forOrg(id).getStatus()
+    }));
+  }
+
+  return { defaultOrg, resolveOrg, forOrg, getAccountKey, list };
+}
+
+module.exports = { createTenantRegistry };
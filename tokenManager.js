@@ -0,0 +1,195 @@
+/**
+ * tokenManager.js
+ *
+ * Shared token manager for every GoTo server in this project.
+ * It keeps the current access/refresh token pair in memory, persists it to the encrypted token vault
+ * (tokenVault.js) together with its expiry time, and refreshes it through gotoAuth.js before it expires.
+ * A legacy plaintext tokens.json next to this module is imported into the vault on first start.
+ * With the client credentials grant (OAUTH_GRANT_TYPE=client_credentials) no user login is needed: a new token
+ * is requested for the OAuth client itself whenever the current one is about to expire (headless jobs).
+ *
+ * Main Functions:
+ * - createTokenManager(options): Returns a token manager bound to a vault token set and OAuth scope.
+ *
+ * The returned manager exposes:
+ * - setTokens(token): Stores a token response from gotoAuth.getToken() / refreshToken().
+ * - getAccessToken(): Returns the current access token without refreshing it.
+ * - getValidAccessToken(): Returns an access token, refreshing it first if it is about to expire.
+ * - refresh(): Forces a refresh with the stored refresh token (or a new client credentials token).
+ * - clear(): Forgets all tokens (memory and vault).
+ * - getStatus(): Returns token presence and expiry info for status endpoints.
+ *
+ * Usage:
+ *   const tokens = createTokenManager({ scope: SCOPE });
+ *   tokens.setTokens(await getToken(code, SCOPE));
+ *   const numbers = await new GoToClient({ tokens }).getAllPhoneNumbers(accountKey); // see gotoClient.js
+ *
+ * Dependencies:
+ * - gotoAuth.js: For the refresh token exchange
+ * - tokenVault.js: For encrypted token storage
+ */
+
+const path = require('path'); // For the legacy tokens.json path
+const { refreshToken, getClientCredentialsToken } = require('./gotoAuth'); // Refresh token / client credentials exchange
+const vault = require('./tokenVault'); // Encrypted token storage
+const { config } = require('./config'); // OAUTH_GRANT_TYPE
+
+// Refresh this long before the access token actually expires
+const REFRESH_MARGIN_MS = 60 * 1000; // 1 minute safety margin
+// Default lifetime when neither expires_in nor a JWT exp claim is available
+const DEFAULT_EXPIRES_IN = 3600; // seconds
+
+// Helper to read the exp claim (seconds) from a JWT access token
+function getJwtExpiry(token) {
+  try {
+    const part = (token || '').split('.')[1] || '';
+    let b64 = part.replace(/-/g, '+').replace(/_/g, '/');
+    while (b64.length % 4) b64 += '=';
+    const payload = JSON.parse(Buffer.from(b64, 'base64').toString('utf8'));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Create a token manager
+ * @param {Object} options
+ * @param {string} [options.scope] - OAuth scope to request when refreshing
+ * @param {string} [options.name='tokens'] - Vault token set name; a plaintext <name>.json next to this module is migrated
+ * @param {boolean} [options.autoRefresh=true] - Refresh in the background before expiry
+ * @param {string} [options.grant] - 'client_credentials' to run without a user login (default: OAUTH_GRANT_TYPE)
+ * @returns {Object} - Token manager
+ */
+function createTokenManager(options = {}) {
+  const scope = options.scope;
+  const name = options.name || 'tokens';
+  const autoRefresh = options.autoRefresh !== false;
+  const clientCredentials = (options.grant || config.OAUTH_GRANT_TYPE) === 'client_credentials';
+
+  let accessToken = null; // Current access token
+  let refreshTokenValue = null; // Current refresh token
+  let expiresAt = null; // Access token expiry (ms since epoch), null if unknown
+  let refreshing = null; // In-flight refresh promise, shared by concurrent callers
+  let refreshTimer = null; // Background refresh timer
+
+  // Write the current tokens (and expiry) to the vault
+  function save() {
+    vault.saveTokens(name, { accessToken, refreshToken: refreshTokenValue, expiresAt });
+  }
+
+  // Read tokens from the vault (importing a legacy tokens.json first);
+  // older token sets without expiresAt fall back to the JWT exp claim
+  function load() {
+    try {
+      vault.migrateTokenFile(path.join(__dirname, `${name}.json`), name);
+      const data = vault.loadTokens(name);
+      if (!data) return;
+      accessToken = data.accessToken || null;
+      refreshTokenValue = data.refreshToken || null;
+      expiresAt = data.expiresAt || getJwtExpiry(accessToken);
+    } catch (e) {
+      console.error('Failed to load tokens from vault:', e.message);
+    }
+  }
+
+  // Whether a new access token can be obtained without the user
+  function canRefresh() {
+    return clientCredentials || !!refreshTokenValue;
+  }
+
+  // Schedule a background refresh shortly before the access token expires
+  function scheduleRefresh() {
+    if (refreshTimer) clearTimeout(refreshTimer);
+    refreshTimer = null;
+    if (!autoRefresh || !canRefresh() || !expiresAt) return;
+    const delay = Math.max(expiresAt - REFRESH_MARGIN_MS - Date.now(), 0);
+    refreshTimer = setTimeout(() => {
+      refresh().catch(() => {}); // Errors are logged inside refresh()
+    }, delay);
+    refreshTimer.unref(); // Do not keep the process alive just for this timer
+  }
+
+  // Store a token response ({ access_token, refresh_token, expires_in })
+  function setTokens(token) {
+    accessToken = token.access_token;
+    refreshTokenValue = token.refresh_token || refreshTokenValue;
+    expiresAt = token.expires_in
+      ? Date.now() + token.expires_in * 1000
+      : getJwtExpiry(accessToken) || Date.now() + DEFAULT_EXPIRES_IN * 1000;
+    save();
+    scheduleRefresh();
+    console.log(`Tokens stored. Expires at ${new Date(expiresAt).toISOString()}`);
+  }
+
+  // Exchange the refresh token (or the client credentials) for a new access token
+  function refresh() {
+    if (refreshing) return refreshing;
+    if (!canRefresh()) return Promise.reject(new Error('No refresh token available. Please authenticate first.'));
+    console.log(clientCredentials ? 'Requesting client credentials access token...' : 'Refreshing access token...');
+    refreshing = (clientCredentials ? getClientCredentialsToken(scope) : refreshToken(refreshTokenValue, scope))
+      .then(token => {
+        setTokens(token);
+        console.log('Access token refreshed successfully');
+        return accessToken;
+      })
+      .catch(err => {
+        console.error('Failed to refresh access token:', err.message);
+        throw err;
+      })
+      .finally(() => { refreshing = null; });
+    return refreshing;
+  }
+
+  // Check whether the access token is missing or about to expire
+  function isExpiring() {
+    return !accessToken || (expiresAt && Date.now() > expiresAt - REFRESH_MARGIN_MS);
+  }
+
+  // Return a usable access token, refreshing first if needed (null if not authenticated)
+  async function getValidAccessToken() {
+    if (!isExpiring()) return accessToken;
+    if (!canRefresh()) return accessToken;
+    try {
+      return await refresh();
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Forget all tokens
+  function clear() {
+    accessToken = null;
+    refreshTokenValue = null;
+    expiresAt = null;
+    scheduleRefresh();
+    save();
+    console.log('Tokens cleared');
+  }
+
+  // Token info for status/debug endpoints
+  function getStatus() {
+    return {
+      hasAccessToken: !!accessToken,
+      hasRefreshToken: !!refreshTokenValue,
+      grant: clientCredentials ? 'client_credentials' : 'authorization_code',
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      expired: !!accessToken && !!expiresAt && Date.now() > expiresAt
+    };
+  }
+
+  vault.assertEncryptionKey(); // Fail fast instead of losing tokens on the first save
+  load();
+  scheduleRefresh();
+
+  return {
+    setTokens,
+    getAccessToken: () => accessToken,
+    getValidAccessToken,
+    refresh,
+    clear,
+    getStatus
+  };
+}
+
+module.exports = { createTokenManager };
@@ -0,0 +1,163 @@
+/**
+ * tokenVault.js
+ *
+ * Encrypted storage for GoTo OAuth tokens.
+ * Tokens are encrypted at rest with AES-256-GCM using a key from the TOKEN_ENCRYPTION_KEY environment
+ * variable, and stored outside the project (web) directory so they can never be served as static files.
+ *
+ * Main Functions:
+ * - saveTokens(name, tokens): Encrypts and writes a token set to the vault.
+ * - loadTokens(name): Reads and decrypts a token set (null if it does not exist).
+ * - removeTokens(name): Deletes a token set from the vault.
+ * - listTokenSets(): Lists the names of all token sets in the vault.
+ * - migrateTokenFile(plainFile, name): Imports a legacy plaintext tokens.json file and deletes it.
+ * - assertEncryptionKey(): Throws if TOKEN_ENCRYPTION_KEY is missing.
+ *
+ * Configuration (.env or the config file, see config.js):
+ * - TOKEN_ENCRYPTION_KEY: 64 hex chars (32 bytes), or any passphrase (a key is derived from it with scrypt)
+ * - TOKEN_STORE_DIR: Vault directory (default: ~/.goto-tools/tokens)
+ *
+ * Command line:
+ *   node tokenVault.js keygen    Print a new random TOKEN_ENCRYPTION_KEY
+ *   node tokenVault.js migrate   Import tokens.json and tokens_user_activity.json into the vault
+ */
+
+const { config } = require('./config'); // TOKEN_ENCRYPTION_KEY / TOKEN_STORE_DIR
+const crypto = require('crypto'); // AES-GCM encryption
+const fs = require('fs'); // Vault file access
+const path = require('path'); // Vault file paths
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12; // Recommended IV size for GCM
+const KEY_SALT = 'goto-token-vault'; // Fixed salt for passphrase-derived keys
+
+// Directory holding the encrypted token files
+function getVaultDir() {
+  return config.TOKEN_STORE_DIR;
+}
+
+let cachedKey = null; // { secret, key } so scrypt only runs once per passphrase
+
+// Resolve the 32-byte encryption key from TOKEN_ENCRYPTION_KEY
+function getKey() {
+  const secret = config.TOKEN_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('TOKEN_ENCRYPTION_KEY is not set. Generate one with: node tokenVault.js keygen');
+  }
+  if (cachedKey && cachedKey.secret === secret) return cachedKey.key;
+  const key = /^[0-9a-fA-F]{64}$/.test(secret) ? Buffer.from(secret, 'hex') : crypto.scryptSync(secret, KEY_SALT, 32);
+  cachedKey = { secret, key };
+  return key;
+}
+
+// Throw a clear error at startup if no usable encryption key is configured
+function assertEncryptionKey() {
+  getKey();
+}
+
+// Vault file for a token set; names are restricted so they cannot escape the vault directory
+function getVaultFile(name) {
+  if (!/^[A-Za-z0-9_.-]+$/.test(name)) throw new Error(`Invalid token set name: ${name}`);
+  return path.join(getVaultDir(), `${name}.enc.json`);
+}
+
+// Encrypt a JSON-serializable value
+function encrypt(value) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return {
+    v: 1,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+// Decrypt a value produced by encrypt(); throws if the key is wrong or the file was tampered with
+function decrypt(payload) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(payload.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+  const plain = Buffer.concat([decipher.update(Buffer.from(payload.data, 'base64')), decipher.final()]);
+  return JSON.parse(plain.toString('utf8'));
+}
+
+// Encrypt and write a token set (file is readable by the current user only)
+function saveTokens(name, tokens) {
+  const file = getVaultFile(name);
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(file, JSON.stringify(encrypt(tokens), null, 2), { mode: 0o600 });
+}
+
+// Read and decrypt a token set; returns null if it has not been saved yet
+function loadTokens(name) {
+  const file = getVaultFile(name);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return decrypt(JSON.parse(fs.readFileSync(file, 'utf8')));
+  } catch (e) {
+    throw new Error(`Unable to decrypt ${file} (wrong TOKEN_ENCRYPTION_KEY?): ${e.message}`);
+  }
+}
+
+// Delete a token set
+function removeTokens(name) {
+  const file = getVaultFile(name);
+  if (fs.existsSync(file)) fs.unlinkSync(file);
+}
+
+// List the names of all stored token sets
+function listTokenSets() {
+  const dir = getVaultDir();
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.enc.json'))
+    .map(f => f.slice(0, -'.enc.json'.length));
+}
+
+/**
+ * Import a legacy plaintext token file into the vault, then delete the plaintext file.
+ * Does nothing if the file does not exist or the vault already has this token set.
+ * @param {string} plainFile - Path to the plaintext tokens.json
+ * @param {string} name - Vault token set name
+ * @returns {boolean} - true if tokens were imported
+ */
+function migrateTokenFile(plainFile, name) {
+  if (!fs.existsSync(plainFile)) return false;
+  if (loadTokens(name)) {
+    console.warn(`Vault already has "${name}" tokens; leaving ${plainFile} in place. Delete it once you no longer need it.`);
+    return false;
+  }
+  let tokens;
+  try {
+    tokens = JSON.parse(fs.readFileSync(plainFile, 'utf8'));
+  } catch (e) {
+    console.error(`Skipping ${plainFile}: not valid JSON (${e.message})`);
+    return false;
+  }
+  saveTokens(name, tokens);
+  fs.unlinkSync(plainFile); // Remove the cleartext copy from the web root
+  console.log(`Migrated ${plainFile} into the token vault as "${name}"`);
+  return true;
+}
+
+module.exports = { getVaultDir, assertEncryptionKey, saveTokens, loadTokens, removeTokens, listTokenSets, migrateTokenFile };
+
+// Command line entry point
+if (require.main === module) {
+  const command = process.argv[2];
+  if (command === 'keygen') {
+    console.log(`TOKEN_ENCRYPTION_KEY=${crypto.randomBytes(32).toString('hex')}`);
+  } else if (command === 'migrate') {
+    try {
+      migrateTokenFile(path.join(__dirname, 'tokens.json'), 'tokens');
+      migrateTokenFile(path.join(__dirname, 'tokens_user_activity.json'), 'tokens_user_activity');
+      console.log('Token vault:', getVaultDir());
+    } catch (e) {
+      console.error(e.message);
+      process.exit(1);
+    }
+  } else {
+    console.log('Usage: node tokenVault.js <keygen|migrate>');
+  }
+}
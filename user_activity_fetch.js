@@ -2,8 +2,8 @@
 // Example template for fetching user activity from GoTo Connect API
 // This file is empty, so here is a commented template for reference:
 
-// Import Axios for HTTP requests
-const axios = require('axios'); // Used to call GoTo API
+// Import the GoTo API client (retries on 429/5xx, configurable base URL)
+const { GoToClient } = require('./gotoClient'); // Used to call GoTo API
 
 // Function to fetch user activity
 async function fetchUserActivity({ accessToken, startDate, endDate, organizationId }) {
@@ -15,12 +15,9 @@ async function fetchUserActivity({ accessToken, startDate, endDate, organization
   };
   try {
     // Make GET request to GoTo Connect User Activity API
-    const response = await axios.get('https://api.goto.com/call-reports/v1/reports/user-activity', {
-      headers: { Authorization: `Bearer ${accessToken}` }, // Auth header
-      params // Query params
-    });
+    const api = new GoToClient({ accessToken }); // Sends the bearer token
     // Return the API response data
-    return response.data;
+    return await api.getUserActivityReport(params);
   } catch (error) {
     // Log and rethrow error for caller to handle
     console.error('User Activity API error:', error.message, error.response?.data);
@@ -0,0 +1,105 @@
+/**
+ * voicemailRouter.js
+ *
+ * Voicemail routes used by UReport.html: voicemail boxes and the messages in a box.
+ * Mounted at /voicemail by server.js, and at the root by getTokenServer.js and Extensions.js.
+ *
+ * Main Functions:
+ * - createVoicemailRouter(options): Returns an Express router with the routes below.
+ *
+ * Routes:
+ * - GET /api/voicemails            Proxy to the Voicemail API voicemail boxes
+ * - GET /api/voicemail-messages    Proxy to the messages of one voicemail box (?voicemailboxId=)
+ */
+
+const express = require('express'); // For express.Router
+const { GoToClient } = require('./gotoClient'); // GoTo API calls with retries and pagination
+
+// OAuth scope needed by these routes
+const SCOPE = 'voicemail.v1.voicemails.read';
+
+/**
+ * Create the voicemail router
+ * @param {Object} options
+ * @param {Object} options.tenants - Tenant registry from tenants.js
+ * @returns {Object} - Express router
+ */
+function createVoicemailRouter(options) {
+  const { tenants } = options;
+  const router = express.Router();
+
+  // Proxy endpoint for Voicemail API
+  router.get('/api/voicemails', async (req, res) => {
+    const tokens = tenants.forOrg(tenants.resolveOrg(req)); // Token set for the selected org
+    // Managed token of the org (the UI never sends one)
+    const accessToken = await tokens.getValidAccessToken(); // Get token
+    if (!accessToken) {
+      return res.status(401).json({ error: 'No access token. Please authenticate first.' }); // Error if missing
+    }
+    // The Voicemail API needs an organization; default to the selected one (?org=)
+    const organizationId = req.query.organizationId || tenants.resolveOrg(req);
+    if (!organizationId) {
+      return res.status(400).json({ error: 'Missing required parameter: organizationId' });
+    }
+    // Accept optional params for filtering
+    const { accountKey, extensionNumber, pageMarker, pageSize } = req.query; // Extract params
+    // Build params for GoTo Voicemail API
+    const voicemailParams = { organizationId };
+    if (accountKey) voicemailParams.accountKey = accountKey; // Optional param
+    if (extensionNumber) voicemailParams.extensionNumber = extensionNumber; // Optional param
+    if (pageMarker) voicemailParams.pageMarker = pageMarker; // Optional param
+    if (pageSize) voicemailParams.pageSize = pageSize; // Optional param
+    const api = new GoToClient({ tokens }); // Managed token, refreshed on 401
+    try {
+      // Debug: Log outgoing request params
+      console.log('Proxying to GoTo Voicemail API: voicemailboxes'); // Log endpoint
+      console.log('Params:', voicemailParams); // Log params
+      // Make request to GoTo Voicemail API
+      const data = await api.listVoicemailboxes(voicemailParams);
+      // Debug: Log GoTo Voicemail API response
+      console.log('GoTo Voicemail API response:', JSON.stringify(data).slice(0, 500)); // Log response
+      // Return API response to frontend
+      res.json(data); // Send data to UI
+    } catch (error) {
+      // Log error and return error details to frontend
+      console.error('GoTo Voicemail API error:', error.message, error.response?.data); // Log error
+      res.status(error.response?.status || 500).json({ error: error.message, details: error.response?.data }); // Error response
+    }
+  });
+
+  // Proxy endpoint for Voicemail Messages API
+  router.get('/api/voicemail-messages', async (req, res) => {
+    const tokens = tenants.forOrg(tenants.resolveOrg(req)); // Token set for the selected org
+    const accessToken = await tokens.getValidAccessToken(); // Get token
+    const voicemailboxId = req.query.voicemailboxId; // Get voicemailbox ID
+    console.log('[DEBUG] /api/voicemail-messages called with voicemailboxId:', voicemailboxId); // Log ID
+    if (!accessToken) {
+      return res.status(401).json({ error: 'No access token. Please authenticate first.' }); // Error if missing
+    }
+    if (!voicemailboxId) {
+      return res.status(400).json({ error: 'Missing voicemailboxId parameter.' }); // Error if missing
+    }
+    // Optional query params for filtering
+    const { page, pageSize, status, sort } = req.query; // Extract params
+    const params = {};
+    if (page !== undefined) params.page = page; // Optional param
+    if (pageSize !== undefined) params.pageSize = pageSize; // Optional param
+    if (status !== undefined) params.status = status; // Optional param
+    if (sort !== undefined) params.sort = sort; // Optional param
+    const api = new GoToClient({ tokens }); // Managed token, refreshed on 401
+    try {
+      console.log('Proxying to GoTo Voicemail Messages API for voicemailbox:', voicemailboxId); // Log box
+      console.log('Params:', params); // Log params
+      const data = await api.listVoicemails(voicemailboxId, params);
+      console.log('GoTo Voicemail Messages API response:', JSON.stringify(data).slice(0, 500)); // Log response
+      res.json(data); // Send data to UI
+    } catch (error) {
+      console.error('GoTo Voicemail Messages API error:', error.message, error.response?.data); // Log error
+      res.status(error.response?.status || 500).json({ error: error.message, details: error.response?.data }); // Error response
+    }
+  });
+
+  return router;
+}
+
+module.exports = { SCOPE, createVoicemailRouter };
@@ -0,0 +1,173 @@
+/**
+ * webhookAuth.js
+ *
+ * Verification of the dial-plan webhooks (POST /remotecc in remoteccRouter.js, POST /notify in httpNotifyRouter.js).
+ * They cannot use the login layer (localAuth.js), so once they are reachable through LocalTunnel anyone could post
+ * calls. Each check is off until it is configured (.env or the config file, see config.js):
+ * - WEBHOOK_VERIFY=secret: the WEBHOOK_SECRET_HEADER header (default X-Webhook-Secret) must equal WEBHOOK_SECRET
+ * - WEBHOOK_VERIFY=hmac: the WEBHOOK_SIGNATURE_HEADER header (default X-Webhook-Signature) must be the hex
+ *   HMAC-SHA256 of the raw request body with WEBHOOK_SECRET as the key ("sha256=" in front is allowed)
+ * - WEBHOOK_ALLOWED_IPS: addresses or IPv4 ranges (CIDR) the requests must come from, e.g. GoTo's PBX ranges.
+ *   With WEBHOOK_TRUST_PROXY=true the last X-Forwarded-For address is used: the one LocalTunnel or the reverse proxy
+ *   added. The earlier ones come from the caller, who can put any address there.
+ * - WEBHOOK_ALLOWED_PBX_IDS: PBX_ID values the body must carry (after the listener's field mapping, payloadFields.js)
+ * Rejected requests get 401 (secret/signature) or 403 (address/PBX) and are recorded in the webhook_audit table
+ * of the router's database, next to the calls and events.
+ *
+ * Main Functions:
+ * - createWebhookGuard(db, listener): Returns { verify(endpoint), listRejections(options) } bound to an open sqlite3
+ *   database; listener ('remotecc' or 'httpNotify') selects the field mapping used to find PBX_ID.
+ *   verify(endpoint) is Express middleware for one webhook route; it needs keepRawBody on the body parsers for hmac.
+ * - keepRawBody(req, res, buf): verify option of express.json()/urlencoded() that keeps the raw body for the HMAC.
+ * - checkRequest(req, listener): The first failed check { status, reason } of a request, or null when it may pass.
+ * - redactHeaders(headers): Copy of the request headers with the secret, signature, cookie and API key hidden, for logs.
+ */
+
+const crypto = require('crypto'); // HMAC signatures
+const { config } = require('./config'); // WEBHOOK_* settings
+const payloadFields = require('./payloadFields'); // PBX_ID under its mapped name
+
+const MAX_AUDIT_BODY = 1000; // Characters of a rejected body kept in the audit table
+
+// Constant-time string comparison
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Keep the raw body for the HMAC check (express.json({ verify: keepRawBody }))
+function keepRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+// Address the request came from ("::ffff:10.0.0.1" -> "10.0.0.1"); behind a proxy, the address the proxy saw
+function clientIp(req) {
+  const forwarded = config.WEBHOOK_TRUST_PROXY && String(req.headers['x-forwarded-for'] || '').split(',').pop().trim();
+  return String(forwarded || req.socket.remoteAddress || '').replace(/^::ffff:(?=\d+\.)/, '');
+}
+
+// PBX_ID of a webhook body, read the way the listener's router reads it (declared renames included)
+function pbxIdOf(req, listener) {
+  return payloadFields.mapPayload(listener, req.body).values.PBX_ID;
+}
+
+// "10.1.2.3" -> 32-bit number (null when it is not IPv4)
+function ipv4ToNumber(ip) {
+  const parts = ip.split('.');
+  if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255)) return null;
+  return parts.reduce((number, part) => number * 256 + Number(part), 0);
+}
+
+// Whether an address is in an allowlist entry: exact address or IPv4 CIDR range ("199.36.248.0/22")
+function ipMatches(ip, entry) {
+  const [range, bits] = entry.split('/');
+  if (bits === undefined) return ip.toLowerCase() === range.toLowerCase();
+  const address = ipv4ToNumber(ip);
+  const network = ipv4ToNumber(range);
+  const prefix = Number(bits);
+  if (address === null || network === null || !Number.isInteger(prefix) || prefix < 0 || prefix > 32) return false;
+  const size = 2 ** (32 - prefix);
+  return Math.floor(address / size) === Math.floor(network / size);
+}
+
+// Headers that carry credentials (lower case, like req.headers)
+function secretHeaders() {
+  return [config.WEBHOOK_SECRET_HEADER, config.WEBHOOK_SIGNATURE_HEADER, 'cookie', 'x-api-key', 'authorization']
+    .map(name => String(name).toLowerCase());
+}
+
+/**
+ * Request headers safe to log
+ * @param {Object} headers - req.headers
+ * @returns {Object} - The same headers with credential values replaced by "[redacted]"
+ */
+function redactHeaders(headers) {
+  const hidden = secretHeaders();
+  return Object.fromEntries(Object.entries(headers || {}).map(([name, value]) => [name, hidden.includes(name.toLowerCase()) ? '[redacted]' : value]));
+}
+
+/**
+ * Run the configured checks on a webhook request
+ * @param {Object} req - Express request (body already parsed)
+ * @param {string} listener - 'remotecc' or 'httpNotify' (field mapping of the body)
+ * @returns {Object|null} - { status, reason } of the first failed check, null when the request may pass
+ */
+function checkRequest(req, listener) {
+  const ip = clientIp(req);
+  if (config.WEBHOOK_ALLOWED_IPS.length && !config.WEBHOOK_ALLOWED_IPS.some(entry => ipMatches(ip, entry))) {
+    return { status: 403, reason: `address ${ip} is not allowed` };
+  }
+
+  if (config.WEBHOOK_VERIFY === 'secret') {
+    const secret = req.get(config.WEBHOOK_SECRET_HEADER);
+    if (!secret) return { status: 401, reason: `missing ${config.WEBHOOK_SECRET_HEADER} header` };
+    if (!safeEqual(secret, config.WEBHOOK_SECRET)) return { status: 401, reason: 'wrong shared secret' };
+  } else if (config.WEBHOOK_VERIFY === 'hmac') {
+    const signature = String(req.get(config.WEBHOOK_SIGNATURE_HEADER) || '').replace(/^sha256=/i, '').toLowerCase();
+    if (!signature) return { status: 401, reason: `missing ${config.WEBHOOK_SIGNATURE_HEADER} header` };
+    const expected = crypto.createHmac('sha256', config.WEBHOOK_SECRET).update(req.rawBody || '').digest('hex');
+    if (!safeEqual(signature, expected)) return { status: 401, reason: 'invalid signature' };
+  }
+
+  const pbxId = pbxIdOf(req, listener);
+  if (config.WEBHOOK_ALLOWED_PBX_IDS.length && !config.WEBHOOK_ALLOWED_PBX_IDS.includes(String(pbxId || ''))) {
+    return { status: 403, reason: pbxId ? `PBX_ID ${pbxId} is not allowed` : 'missing PBX_ID' };
+  }
+  return null;
+}
+
+/**
+ * Create the webhook guard
+ * @param {Object} db - Open sqlite3 database of the router (remotecc_events.db or calls.db)
+ * @param {string} listener - 'remotecc' or 'httpNotify' (field mapping of the bodies)
+ * @returns {Object} - { verify, listRejections }
+ */
+function createWebhookGuard(db, listener) {
+  db.run(`CREATE TABLE IF NOT EXISTS webhook_audit (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    endpoint TEXT,
+    ip TEXT,
+    pbx_id TEXT,
+    status INTEGER,
+    reason TEXT,
+    user_agent TEXT,
+    body TEXT
+  )`);
+
+  /**
+   * Middleware for one webhook route
+   * @param {string} endpoint - Name stored with rejections, e.g. '/remotecc'
+   * @returns {Function} - Express middleware
+   */
+  function verify(endpoint) {
+    return (req, res, next) => {
+      const failure = checkRequest(req, listener);
+      if (!failure) return next();
+      const ip = clientIp(req);
+      const body = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body || {});
+      console.warn(`Rejected ${endpoint} from ${ip}: ${failure.reason}`); // Log rejection
+      db.run(
+        'INSERT INTO webhook_audit (endpoint, ip, pbx_id, status, reason, user_agent, body) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [endpoint, ip, pbxIdOf(req, listener) || null, failure.status, failure.reason, req.get('User-Agent') || null, body.slice(0, MAX_AUDIT_BODY)],
+        err => { if (err) console.error('Could not record the rejected webhook:', err.message); }
+      );
+      res.status(failure.status).json({ error: `Webhook rejected: ${failure.reason}` });
+    };
+  }
+
+  // Latest rejections (options.limit, default 100; options.endpoint to filter)
+  function listRejections(options = {}) {
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 100, 1), 1000);
+    const where = options.endpoint ? 'WHERE endpoint = ?' : '';
+    const params = options.endpoint ? [options.endpoint, limit] : [limit];
+    return new Promise((resolve, reject) => {
+      db.all(`SELECT * FROM webhook_audit ${where} ORDER BY id DESC LIMIT ?`, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+  }
+
+  return { verify, listRejections };
+}
+
+module.exports = { createWebhookGuard, keepRawBody, checkRequest, redactHeaders };